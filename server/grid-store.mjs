@@ -0,0 +1,589 @@
+/**
+ * Grid Store - Authoritative, file-backed grid and ownership state for the reference server
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/**
+ * Emits 'change' events of the form { type: 'claim' | 'color' | 'renew' | 'expire' | 'hold' | 'release', squares }
+ */
+export class GridStore extends EventEmitter {
+    /**
+     * Creates a new GridStore persisted to a JSON file
+     * @param {Object} options - Store configuration
+     * @param {string} options.dataFile - Path of the JSON file holding the state
+     * @param {number} options.gridSize - Size of the grid (squares per side)
+     * @param {number} options.lockDuration - Duration squares remain locked in milliseconds
+     * @param {number} options.squarePrice - Price per square in dollars
+     * @param {number} options.holdDuration - Duration of checkout reservation holds in milliseconds
+     * @param {number} [options.gracePeriod=0] - Time after a lock lapses during which the square can still be renewed but not bought, in milliseconds
+     */
+    constructor({ dataFile, gridSize, lockDuration, squarePrice, holdDuration, gracePeriod = 0 }) {
+        super();
+        this.dataFile = dataFile;
+        this.gridSize = gridSize;
+        this.lockDuration = lockDuration;
+        this.gracePeriod = gracePeriod;
+        this.squarePrice = squarePrice;
+        this.holdDuration = holdDuration;
+        this.state = this.load();
+        this.holds = new Map(); // "x,y" -> { reservationId, expiresAt }, short-lived so kept in memory
+    }
+
+    /**
+     * Loads state from the data file or initializes an empty state
+     * @returns {{grid: Object, transactions: Object, renewals: Object, outbox: Array}} Stored state
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.dataFile)) {
+                const stored = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+                return {
+                    grid: stored.grid || {},
+                    transactions: stored.transactions || {},
+                    renewals: stored.renewals || {},
+                    outbox: stored.outbox || []
+                };
+            }
+        } catch (e) {
+            console.warn('Failed to load server state:', e);
+        }
+        return { grid: {}, transactions: {}, renewals: {}, outbox: [] };
+    }
+
+    /**
+     * Persists state to the data file
+     * Writes to a temporary file first so a crash never leaves a half-written file
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        const tmpFile = `${this.dataFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmpFile, this.dataFile);
+    }
+
+    /**
+     * Converts x,y coordinates to storage key string
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {string} Key in format "x,y"
+     */
+    getKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    /**
+     * Validates if grid coordinates are integers within bounds
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if coordinates are valid
+     */
+    isInBounds(x, y) {
+        return Number.isInteger(x) && Number.isInteger(y) &&
+            x >= 0 && x < this.gridSize && y >= 0 && y < this.gridSize;
+    }
+
+    /**
+     * Checks if a square is available for donation (same rule as StateManager.isSquareAvailable)
+     * Automatically removes a square whose lock and grace period have both ended
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if square is available
+     */
+    isSquareAvailable(x, y) {
+        const key = this.getKey(x, y);
+        const square = this.state.grid[key];
+        if (!square) return true;
+
+        if (square.expiryTime && square.expiryTime + this.gracePeriod < Date.now()) {
+            delete this.state.grid[key];
+            this.emit('change', { type: 'expire', squares: [{ x, y }] });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Removes squares whose lock and grace period have both ended
+     * @returns {Array<{x: number, y: number}>} Squares that were removed
+     */
+    cleanExpiredSquares() {
+        const now = Date.now();
+        const removed = [];
+
+        Object.keys(this.state.grid).forEach(key => {
+            const square = this.state.grid[key];
+            if (square.expiryTime && square.expiryTime + this.gracePeriod < now) {
+                delete this.state.grid[key];
+                removed.push({ x: square.x, y: square.y });
+            }
+        });
+
+        if (removed.length > 0) {
+            this.save();
+            this.emit('change', { type: 'expire', squares: removed });
+        }
+        return removed;
+    }
+
+    /**
+     * Returns when the next square becomes available again, once its lock and grace period end
+     * @returns {number|null} Timestamp in milliseconds or null if the grid is empty
+     */
+    getNextExpiryTime() {
+        let next = null;
+        Object.values(this.state.grid).forEach(square => {
+            if (square.expiryTime && (next === null || square.expiryTime + this.gracePeriod < next)) {
+                next = square.expiryTime + this.gracePeriod;
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Checks if a square's live claim was made by a transaction
+     * A square can be claimed again by someone else once its lock lapses, so being listed in the
+     * transaction's squares is not enough
+     * @param {string} transactionId - Transaction to check
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if the square is locked under this transaction's claim
+     */
+    isClaimedBy(transactionId, x, y) {
+        const transaction = this.state.transactions[transactionId];
+        if (!transaction || this.isSquareAvailable(x, y)) return false;
+
+        const square = this.state.grid[this.getKey(x, y)];
+        if (square.transactionId) {
+            return square.transactionId === transactionId;
+        }
+        // Squares stored before claims recorded their transaction share its timestamp
+        return square.timestamp === transaction.timestamp &&
+            transaction.squares.some(s => s.x === x && s.y === y);
+    }
+
+    /**
+     * Strips private fields from a square before it is published
+     * The transaction ID is the only credential for repainting and renewing, so it stays private too
+     * @param {Object} square - Stored square data
+     * @returns {Object} Square data without the donor email and claiming transaction
+     */
+    toPublicSquare({ email, transactionId, ...square }) {
+        return square;
+    }
+
+    /**
+     * Returns the current grid with expired squares removed
+     * Donor emails are stripped since the grid is public
+     * @returns {Object} Grid state keyed by "x,y"
+     */
+    getGrid() {
+        this.cleanExpiredSquares();
+
+        const grid = {};
+        Object.entries(this.state.grid).forEach(([key, square]) => {
+            grid[key] = this.toPublicSquare(square);
+        });
+        return grid;
+    }
+
+    /**
+     * Returns the active hold on a square, dropping it if it has lapsed
+     * @param {string} key - Square key in format "x,y"
+     * @returns {{reservationId: string, expiresAt: number}|null} Active hold or null
+     */
+    getHold(key) {
+        const hold = this.holds.get(key);
+        if (hold && hold.expiresAt < Date.now()) {
+            this.holds.delete(key);
+            return null;
+        }
+        return hold || null;
+    }
+
+    /**
+     * Checks if a square is held by a reservation other than the given one
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {string|null} reservationId - Reservation of the caller, if any
+     * @returns {boolean} True if someone else holds the square
+     */
+    isHeldByOther(x, y, reservationId) {
+        const hold = this.getHold(this.getKey(x, y));
+        return !!hold && hold.reservationId !== reservationId;
+    }
+
+    /**
+     * Returns all active holds without their reservation IDs
+     * @returns {Array<{x: number, y: number, expiresAt: number}>} Held squares
+     */
+    getHolds() {
+        const holds = [];
+        Array.from(this.holds.keys()).forEach(key => {
+            const hold = this.getHold(key);
+            if (hold) {
+                const [x, y] = key.split(',').map(Number);
+                holds.push({ x, y, expiresAt: hold.expiresAt });
+            }
+        });
+        return holds;
+    }
+
+    /**
+     * Places a time-limited hold on squares while a donor checks out
+     * @param {Array<{x: number, y: number}>} squares - Squares to hold
+     * @returns {Object} Result with reservationId and expiresAt, or the conflicting squares
+     */
+    reserveSquares(squares) {
+        if (!Array.isArray(squares) || squares.length === 0) {
+            return { success: false, error: 'No squares selected' };
+        }
+
+        const conflicts = squares.filter(({ x, y }) =>
+            !this.isInBounds(x, y) || !this.isSquareAvailable(x, y) || this.isHeldByOther(x, y, null)
+        ).map(({ x, y }) => ({ x, y }));
+
+        if (conflicts.length > 0) {
+            return {
+                success: false,
+                error: 'Some squares are no longer available',
+                conflicts
+            };
+        }
+
+        const reservationId = `RSV-${Date.now()}-${crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 9)}`;
+        const expiresAt = Date.now() + this.holdDuration;
+        const held = squares.map(({ x, y }) => ({ x, y, expiresAt }));
+
+        held.forEach(({ x, y }) => this.holds.set(this.getKey(x, y), { reservationId, expiresAt }));
+        this.emit('change', { type: 'hold', squares: held });
+
+        return { success: true, reservationId, expiresAt, squares: held };
+    }
+
+    /**
+     * Releases every hold placed by a reservation
+     * @param {string} reservationId - Reservation to release
+     * @returns {Object} Result with the squares that were released
+     */
+    releaseReservation(reservationId) {
+        const released = [];
+        this.holds.forEach((hold, key) => {
+            if (hold.reservationId === reservationId) {
+                this.holds.delete(key);
+                const [x, y] = key.split(',').map(Number);
+                released.push({ x, y });
+            }
+        });
+
+        if (released.length > 0) {
+            this.emit('change', { type: 'release', squares: released });
+        }
+        return { success: true, squares: released };
+    }
+
+    /**
+     * Generates a unique transaction ID for donation tracking
+     * @returns {string} Unique transaction ID in format TXN-{timestamp}-{random}
+     */
+    generateTransactionId() {
+        return `TXN-${Date.now()}-${crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 9)}`;
+    }
+
+    /**
+     * Claims every still-available square of a donation and reports an outcome per square
+     * Only granted squares are charged; statuses are 'granted', 'taken', 'held', 'out_of_bounds' and 'duplicate'
+     * @param {Object} donation - Donation request body
+     * @param {string} donation.email - Donor's email address
+     * @param {Array<{x: number, y: number}>} donation.squares - Requested squares
+     * @param {string} donation.color - Hex color chosen at purchase
+     * @param {string} [donation.username] - Username shown on the leaderboard
+     * @param {string|null} [donation.url] - Optional URL associated with the section
+     * @param {string|null} [donation.reservationId] - Reservation holding the squares during checkout
+     * @returns {Object} Result with transaction details, per-square results and rejectedSquares
+     */
+    processDonation({ email, squares, color, username, url, reservationId = null }) {
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return { success: false, error: 'Invalid email address' };
+        }
+        if (!Array.isArray(squares) || squares.length === 0) {
+            return { success: false, error: 'No squares selected' };
+        }
+        if (!color || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            return { success: false, error: 'No color selected' };
+        }
+
+        const seen = new Set();
+        const results = squares.map(({ x, y }) => {
+            const key = this.getKey(x, y);
+            let status = 'granted';
+            if (!this.isInBounds(x, y)) {
+                status = 'out_of_bounds';
+            } else if (seen.has(key)) {
+                status = 'duplicate';
+            } else if (!this.isSquareAvailable(x, y)) {
+                status = 'taken';
+            } else if (this.isHeldByOther(x, y, reservationId)) {
+                status = 'held';
+            }
+            seen.add(key);
+            return { x, y, status };
+        });
+
+        const claimed = results.filter(r => r.status === 'granted').map(({ x, y }) => ({ x, y }));
+        const rejectedSquares = results.filter(r => r.status !== 'granted');
+
+        if (claimed.length === 0) {
+            return {
+                success: false,
+                error: 'None of the selected squares are available',
+                results,
+                rejectedSquares
+            };
+        }
+
+        const now = Date.now();
+        const transactionId = this.generateTransactionId();
+        const amount = Math.round(claimed.length * this.squarePrice * 100) / 100;
+
+        claimed.forEach(({ x, y }) => {
+            this.state.grid[this.getKey(x, y)] = {
+                color,
+                email,
+                transactionId,
+                x,
+                y,
+                timestamp: now,
+                expiryTime: now + this.lockDuration
+            };
+        });
+
+        this.state.transactions[transactionId] = {
+            squares: claimed,
+            timestamp: now,
+            originalColor: color,
+            url: url || null,
+            username: username || 'Anonymous',
+            // Receipts are built from these, never from what the client sends
+            email,
+            amount
+        };
+        this.save();
+        this.emit('change', {
+            type: 'claim',
+            squares: claimed.map(({ x, y }) => this.toPublicSquare(this.state.grid[this.getKey(x, y)]))
+        });
+        if (reservationId) {
+            this.releaseReservation(reservationId);
+        }
+
+        return {
+            success: true,
+            transactionId,
+            email,
+            squares: claimed,
+            results,
+            rejectedSquares,
+            color,
+            amount,
+            timestamp: new Date(now).toISOString(),
+            message: rejectedSquares.length > 0
+                ? `Donation processed for ${claimed.length} of ${squares.length} squares`
+                : 'Donation processed successfully'
+        };
+    }
+
+    /**
+     * Repaints squares owned by a transaction
+     * Nothing is changed unless every square is still claimed by the transaction or has lapsed
+     * @param {string} transactionId - Transaction that owns the squares
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     * @returns {Object} Result with the squares that were updated
+     */
+    updateSquareColors(transactionId, squares) {
+        const transaction = this.state.transactions[transactionId];
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+        if (!Array.isArray(squares) || squares.length === 0) {
+            return { success: false, error: 'No squares to update' };
+        }
+
+        const ownedKeys = new Set(transaction.squares.map(s => this.getKey(s.x, s.y)));
+        const updated = [];
+
+        for (const { x, y, color } of squares) {
+            const key = this.getKey(x, y);
+            if (!ownedKeys.has(key) || !/^#[0-9a-fA-F]{6}$/.test(color || '')) {
+                return { success: false, error: `Square (${x}, ${y}) cannot be repainted by this transaction` };
+            }
+            if (this.isSquareAvailable(x, y)) {
+                continue; // Lock has lapsed, nothing left to repaint
+            }
+            if (!this.isClaimedBy(transactionId, x, y)) {
+                return { success: false, error: `Square (${x}, ${y}) has been claimed by another donor` };
+            }
+            updated.push({ x, y, color });
+        }
+
+        updated.forEach(({ x, y, color }) => {
+            const key = this.getKey(x, y);
+            this.state.grid[key] = { ...this.state.grid[key], color };
+        });
+
+        if (updated.length > 0) {
+            this.save();
+            this.emit('change', { type: 'color', squares: updated });
+        }
+
+        return { success: true, squares: updated };
+    }
+
+    /**
+     * Extends the lock on a transaction's squares before it lapses
+     * Colors are kept; each expiry moves out by one lock duration from the later of now and its current expiry.
+     * The renewal is recorded under its own transaction ID so it gets its own receipt
+     * @param {Object} renewal - Renewal request body
+     * @param {string} renewal.transactionId - Transaction whose squares are renewed
+     * @param {string} renewal.email - Donor's email address
+     * @returns {Object} Result with the renewal's transactionId, renewedTransactionId, squares and amount
+     */
+    renewLock({ transactionId, email }) {
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return { success: false, error: 'Invalid email address' };
+        }
+        const transaction = this.state.transactions[transactionId];
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+
+        const now = Date.now();
+        // Only squares this transaction still holds; a reclaimed square belongs to its new donor
+        const squares = transaction.squares
+            .filter(({ x, y }) => this.isClaimedBy(transactionId, x, y))
+            .map(({ x, y }) => {
+                const key = this.getKey(x, y);
+                const expiryTime = Math.max(now, this.state.grid[key].expiryTime) + this.lockDuration;
+                this.state.grid[key] = { ...this.state.grid[key], expiryTime };
+                return { x, y, expiryTime };
+            });
+
+        if (squares.length === 0) {
+            return { success: false, error: 'The lock on this section has already lapsed' };
+        }
+
+        const renewalId = this.generateTransactionId();
+        const amount = Math.round(squares.length * this.squarePrice * 100) / 100;
+        this.state.renewals[renewalId] = {
+            transactionId,
+            squares: squares.map(({ x, y }) => ({ x, y })),
+            timestamp: now,
+            email,
+            amount
+        };
+        this.save();
+        this.emit('change', { type: 'renew', squares });
+
+        return {
+            success: true,
+            transactionId: renewalId,
+            renewedTransactionId: transactionId,
+            email,
+            squares,
+            amount,
+            timestamp: new Date(now).toISOString(),
+            message: 'Lock renewed successfully'
+        };
+    }
+
+    /**
+     * Builds a tax-deductible receipt for a recorded transaction or lock renewal
+     * Every receipt detail comes from the stored record; only the ID is taken from the request
+     * @param {Object} receiptData - Receipt request body
+     * @param {string} receiptData.transactionId - Transaction or renewal identifier
+     * @returns {Object} Result with receipt details
+     */
+    generateReceipt({ transactionId }) {
+        const renewal = this.state.renewals[transactionId];
+        const record = this.state.transactions[transactionId] || renewal;
+        if (!record) {
+            return { success: false, error: 'Transaction not found' };
+        }
+        // Records saved before amounts and emails were stored cannot be receipted
+        if (!record.email || typeof record.amount !== 'number') {
+            return { success: false, error: 'No receipt details were recorded for this transaction' };
+        }
+
+        return {
+            success: true,
+            receipt: {
+                transactionId,
+                email: record.email,
+                amount: record.amount,
+                squares: record.squares,
+                timestamp: new Date(record.timestamp).toISOString(),
+                renewalOf: renewal ? renewal.transactionId : null,
+                organizationName: 'Shield of Athena Foundation',
+                organizationEIN: '12-3456789',
+                receiptNumber: `RCP-${Date.now()}`,
+                deductible: true,
+                notes: 'This is a tax-deductible charitable donation. Please keep this receipt for your records.'
+            }
+        };
+    }
+
+    /**
+     * Queues a receipt email in the outbox (no mail is actually sent)
+     * @param {string} email - Recipient email address
+     * @param {Object} receipt - Receipt data to send
+     * @returns {Object} Result with success status and message
+     */
+    sendReceiptEmail(email, receipt) {
+        if (!email || !receipt) {
+            return { success: false, error: 'Email and receipt are required' };
+        }
+
+        this.state.outbox.push({ email, receipt, queuedAt: Date.now() });
+        this.save();
+        console.log(`[SERVER] Queued receipt for ${email}`);
+
+        return { success: true, message: `Receipt sent to ${email}` };
+    }
+
+    /**
+     * Queues a lock expiry reminder email in the outbox (no mail is actually sent)
+     * @param {string} email - Recipient email address
+     * @param {Object} reminder - Reminder data (transactionId, squares, expiryTime, message)
+     * @returns {Object} Result with success status and message
+     */
+    sendReminderEmail(email, reminder) {
+        if (!email || !reminder) {
+            return { success: false, error: 'Email and reminder are required' };
+        }
+
+        this.state.outbox.push({ email, reminder, queuedAt: Date.now() });
+        this.save();
+        console.log(`[SERVER] Queued expiry reminder for ${email}`);
+
+        return { success: true, message: `Reminder sent to ${email}` };
+    }
+
+    /**
+     * Looks up the ownership record of a transaction
+     * @param {string} transactionId - Unique transaction identifier
+     * @returns {Object} Result object with the ownership record
+     */
+    getOwnership(transactionId) {
+        const transaction = this.state.transactions[transactionId];
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+        // Share links reveal transaction IDs, so the donor's email stays private
+        const { email, ...ownership } = transaction;
+        return { success: true, transactionId, ownership };
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * Reference Server - Self-contained stand-in for the grid/donation backend
+ *
+ * Usage: node server/server.mjs
+ * Environment: PORT, DATA_FILE, GRID_SIZE, LOCK_DURATION, SQUARE_PRICE, HOLD_DURATION, GRACE_PERIOD
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GridStore } from './grid-store.mjs';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Only the app itself is served; dotfiles, docs and server code never are
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRS = ['src/'];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_SWEEP_DELAY = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+export class ShieldServer {
+    /**
+     * Creates a new reference server
+     * @param {Object} options - Server configuration
+     * @param {number} [options.port=8787] - Port to listen on
+     * @param {string} [options.dataFile] - JSON file holding the grid state
+     * @param {number} [options.gridSize=200] - Grid size (squares per side)
+     * @param {number} [options.lockDuration=604800000] - Lock duration in milliseconds (default: 7 days)
+     * @param {number} [options.squarePrice=0.07] - Price per square in dollars
+     * @param {number} [options.holdDuration=300000] - Checkout reservation hold in milliseconds (default: 5 minutes)
+     * @param {number} [options.gracePeriod=0] - Time after a lock lapses before the square can be bought again, in milliseconds
+     * @param {boolean} [options.serveStatic=true] - Whether to serve index.html and src/ from the repo root
+     */
+    constructor(options = {}) {
+        this.port = options.port || 8787;
+        this.serveStatic = options.serveStatic !== false;
+        this.store = new GridStore({
+            dataFile: options.dataFile || path.join(rootDir, 'server', 'data', 'grid.json'),
+            gridSize: options.gridSize || 200,
+            lockDuration: options.lockDuration || (7 * 24 * 60 * 60 * 1000),
+            squarePrice: options.squarePrice || 0.07,
+            holdDuration: options.holdDuration || (5 * 60 * 1000),
+            gracePeriod: options.gracePeriod || 0
+        });
+        this.eventClients = new Set();
+        this.store.on('change', event => {
+            this.broadcast(event);
+            if (event.type === 'claim' || event.type === 'renew') {
+                this.scheduleExpirySweep();
+            }
+        });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    /**
+     * Starts listening, the expiry sweep and the event stream heartbeat
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        this.scheduleExpirySweep();
+        this.heartbeatInterval = setInterval(() => {
+            this.eventClients.forEach(res => res.write(': heartbeat\n\n'));
+        }, HEARTBEAT_INTERVAL);
+
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the server, its timers and any open event streams
+     * @returns {Promise<void>} Resolves once all connections are closed
+     */
+    stop() {
+        clearTimeout(this.sweepTimeout);
+        clearInterval(this.heartbeatInterval);
+        this.eventClients.forEach(res => res.end());
+        this.eventClients.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Schedules the next expiry sweep for the moment the earliest lock lapses
+     * Expiries are pushed to viewers as they happen rather than on a fixed interval
+     */
+    scheduleExpirySweep() {
+        clearTimeout(this.sweepTimeout);
+
+        const nextExpiry = this.store.getNextExpiryTime();
+        const delay = nextExpiry === null
+            ? MAX_SWEEP_DELAY
+            : Math.min(MAX_SWEEP_DELAY, Math.max(0, nextExpiry - Date.now() + 1));
+
+        this.sweepTimeout = setTimeout(() => {
+            this.store.cleanExpiredSquares();
+            this.scheduleExpirySweep();
+        }, delay);
+    }
+
+    /**
+     * Opens a Server-Sent Events stream for live grid updates
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Server response kept open for events
+     */
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write('retry: 2000\n\n');
+
+        this.eventClients.add(res);
+        req.on('close', () => this.eventClients.delete(res));
+    }
+
+    /**
+     * Pushes a grid change to every connected event stream
+     * @param {{type: string, squares: Array<Object>}} event - Change event from the store
+     */
+    broadcast(event) {
+        const message = `event: ${event.type}\ndata: ${JSON.stringify({ squares: event.squares })}\n\n`;
+        this.eventClients.forEach(res => res.write(message));
+    }
+
+    /**
+     * Routes an incoming HTTP request
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Server response
+     */
+    async handleRequest(req, res) {
+        if (req.method === 'OPTIONS') {
+            this.sendJson(res, 204, null);
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+            if (!url.pathname.startsWith('/api/')) {
+                if (this.serveStatic && req.method === 'GET') {
+                    this.sendStatic(res, url.pathname);
+                } else {
+                    this.sendJson(res, 404, { success: false, error: 'Not found' });
+                }
+                return;
+            }
+
+            const route = `${req.method} ${url.pathname.slice('/api'.length)}`;
+            const ownershipMatch = url.pathname.match(/^\/api\/ownership\/([^/]+)$/);
+            const reservationMatch = url.pathname.match(/^\/api\/reservations\/([^/]+)$/);
+
+            if (route === 'GET /events') {
+                this.openEventStream(req, res);
+            } else if (route === 'GET /grid') {
+                this.sendJson(res, 200, {
+                    success: true,
+                    grid: this.store.getGrid(),
+                    holds: this.store.getHolds(),
+                    serverTime: Date.now()
+                });
+            } else if (route === 'POST /donations') {
+                const result = this.store.processDonation(await this.readBody(req));
+                this.sendResult(res, result, result.rejectedSquares ? 409 : 400);
+            } else if (route === 'POST /renewals') {
+                const result = this.store.renewLock(await this.readBody(req));
+                this.sendResult(res, result, result.error === 'Transaction not found' ? 404 : 400);
+            } else if (route === 'POST /receipts') {
+                const result = this.store.generateReceipt(await this.readBody(req));
+                this.sendResult(res, result, 404);
+            } else if (route === 'POST /receipts/email') {
+                const { email, receipt } = await this.readBody(req);
+                this.sendResult(res, this.store.sendReceiptEmail(email, receipt), 400);
+            } else if (route === 'POST /reminders/email') {
+                const { email, reminder } = await this.readBody(req);
+                this.sendResult(res, this.store.sendReminderEmail(email, reminder), 400);
+            } else if (route === 'POST /reservations') {
+                const { squares } = await this.readBody(req);
+                const result = this.store.reserveSquares(squares);
+                this.sendResult(res, result, result.conflicts ? 409 : 400);
+            } else if (req.method === 'DELETE' && reservationMatch) {
+                this.sendJson(res, 200, this.store.releaseReservation(decodePath(reservationMatch[1])));
+            } else if (route === 'POST /squares/colors') {
+                const { transactionId, squares } = await this.readBody(req);
+                this.sendResult(res, this.store.updateSquareColors(transactionId, squares), 403);
+            } else if (req.method === 'GET' && ownershipMatch) {
+                const result = this.store.getOwnership(decodePath(ownershipMatch[1]));
+                this.sendResult(res, result, 404);
+            } else {
+                this.sendJson(res, 404, { success: false, error: 'Not found' });
+            }
+        } catch (e) {
+            this.sendJson(res, e.statusCode || 500, { success: false, error: e.statusCode ? e.message : 'Internal server error' });
+            if (!e.statusCode) {
+                console.error('Request failed:', e);
+            }
+        }
+    }
+
+    /**
+     * Reads and parses a JSON request body
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {Promise<Object>} Parsed body
+     * @throws {Error} With statusCode 400 if the body is not a JSON object
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) {
+                    reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                let parsed;
+                try {
+                    parsed = body ? JSON.parse(body) : {};
+                } catch (e) {
+                    reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+                    return;
+                }
+                // Handlers destructure the body, so null, arrays and bare values are rejected here
+                if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    reject(Object.assign(new Error('Request body must be a JSON object'), { statusCode: 400 }));
+                    return;
+                }
+                resolve(parsed);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Sends a store result, picking the status code from its success flag
+     * @param {http.ServerResponse} res - Server response
+     * @param {Object} result - Store result object
+     * @param {number} failureStatus - Status code used when the result failed
+     */
+    sendResult(res, result, failureStatus) {
+        this.sendJson(res, result.success ? 200 : failureStatus, result);
+    }
+
+    /**
+     * Sends a JSON response with permissive CORS headers for local demos
+     * @param {http.ServerResponse} res - Server response
+     * @param {number} status - HTTP status code
+     * @param {Object|null} data - Response body
+     */
+    sendJson(res, status, data) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end(data === null ? '' : JSON.stringify(data));
+    }
+
+    /**
+     * Serves a static file from the repository root, limited to STATIC_FILES and STATIC_DIRS
+     * @param {http.ServerResponse} res - Server response
+     * @param {string} pathname - Requested URL path
+     */
+    sendStatic(res, pathname) {
+        const relativePath = pathname === '/' ? 'index.html' : decodePath(pathname).replace(/^\/+/, '');
+        const segments = relativePath.split(/[/\\]/);
+        const allowed = STATIC_FILES.includes(relativePath) || STATIC_DIRS.some(dir => relativePath.startsWith(dir));
+        const filePath = path.resolve(rootDir, relativePath);
+
+        if (!allowed || segments.some(segment => segment.startsWith('.')) || !filePath.startsWith(rootDir + path.sep)) {
+            this.sendJson(res, 404, { success: false, error: 'Not found' });
+            return;
+        }
+
+        fs.readFile(filePath, (err, content) => {
+            if (err) {
+                this.sendJson(res, 404, { success: false, error: 'Not found' });
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    }
+}
+
+/**
+ * Decodes a percent-encoded URL path or path segment
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ * @throws {Error} With statusCode 400 if the encoding is malformed
+ */
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        throw Object.assign(new Error('Malformed URL encoding'), { statusCode: 400 });
+    }
+}
+
+// Start when run directly: node server/server.mjs
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const server = new ShieldServer({
+        port: Number(process.env.PORT) || undefined,
+        dataFile: process.env.DATA_FILE,
+        gridSize: Number(process.env.GRID_SIZE) || undefined,
+        lockDuration: Number(process.env.LOCK_DURATION) || undefined,
+        squarePrice: Number(process.env.SQUARE_PRICE) || undefined,
+        holdDuration: Number(process.env.HOLD_DURATION) || undefined,
+        gracePeriod: Number(process.env.GRACE_PERIOD) || undefined
+    });
+
+    server.start().then(() => {
+        console.log(`Shield of Athena server listening on http://localhost:${server.port}`);
+    });
+}
@@ -2,13 +2,21 @@
  * Mock API Layer - Simulates backend endpoints for demo purposes
  */
 
-export class MockAPI {
+import { BackendAdapter } from './backend-adapter.js';
+
+export class MockAPI extends BackendAdapter {
     /**
      * Creates a new MockAPI instance
      * Simulates backend API endpoints with realistic network delays
+     * @param {StateManager|null} stateManager - Local state used to simulate server-side availability checks
      */
-    constructor() {
+    constructor(stateManager = null) {
+        super();
+        this.stateManager = stateManager;
         this.baseDelay = 500; // Simulate network delay
+        this.transactions = {}; // Ownership records of donations processed this session
+        this.holds = new Map(); // "x,y" -> { reservationId, expiresAt }
+        this.holdDuration = 5 * 60 * 1000; // Checkout holds last 5 minutes
     }
 
     /**
@@ -35,12 +43,17 @@ export class MockAPI {
      * @param {Array<{x: number, y: number}>} donationData.squares - Selected grid squares
      * @param {string} donationData.color - Selected color for the squares
      * @param {number} donationData.totalAmount - Total donation amount in dollars
-     * @returns {Promise<Object>} Result object with success status and transaction details
+     * @param {string} [donationData.username] - Username shown on the leaderboard
+     * @param {string|null} [donationData.url] - Optional URL associated with the section
+     * @param {string|null} [donationData.reservationId] - Reservation holding the squares during checkout
+     * @param {number} [donationData.squarePrice] - Price per square, used to charge only granted squares
+     * @returns {Promise<Object>} Result object with success status, transaction details and per-square results
      */
     async processDonation(donationData) {
         await this.delay();
 
-        const { email, squares, color, totalAmount } = donationData;
+        const { email, squares, color, totalAmount, username = 'Anonymous', url = null, reservationId = null } = donationData;
+        const squarePrice = donationData.squarePrice || (squares && squares.length ? totalAmount / squares.length : 0);
 
         // Validate input
         if (!email || !this.isValidEmail(email)) {
@@ -64,24 +77,77 @@ export class MockAPI {
             };
         }
 
+        const results = this.checkSquares(squares, reservationId);
+        const granted = results.filter(r => r.status === 'granted').map(({ x, y }) => ({ x, y }));
+        const rejectedSquares = results.filter(r => r.status !== 'granted');
+
+        if (granted.length === 0) {
+            return {
+                success: false,
+                error: 'None of the selected squares are available',
+                results,
+                rejectedSquares
+            };
+        }
+
         // Simulate payment processing
         const transactionId = this.generateTransactionId();
+        this.transactions[transactionId] = {
+            squares: granted,
+            timestamp: Date.now(),
+            originalColor: color,
+            url,
+            username
+        };
+        if (reservationId) {
+            this.releaseHolds(reservationId);
+        }
         
         return {
             success: true,
             transactionId,
             email,
-            squares,
+            squares: granted,
+            results,
+            rejectedSquares,
             color,
-            amount: totalAmount,
+            amount: Math.round(granted.length * squarePrice * 100) / 100,
             timestamp: new Date().toISOString(),
-            message: 'Donation processed successfully'
+            message: rejectedSquares.length > 0
+                ? `Donation processed for ${granted.length} of ${squares.length} squares`
+                : 'Donation processed successfully'
         };
     }
 
+    /**
+     * Determines the outcome of each requested square, as a server would
+     * @param {Array<{x: number, y: number}>} squares - Requested squares
+     * @param {string|null} reservationId - Reservation holding the squares during checkout
+     * @returns {Array<{x: number, y: number, status: string}>} Status is 'granted', 'taken', 'held', 'out_of_bounds' or 'duplicate'
+     */
+    checkSquares(squares, reservationId) {
+        const seen = new Set();
+
+        return squares.map(({ x, y }) => {
+            const key = `${x},${y}`;
+            let status = 'granted';
+            if (this.stateManager && !(x >= 0 && x < this.stateManager.gridSize && y >= 0 && y < this.stateManager.gridSize)) {
+                status = 'out_of_bounds';
+            } else if (seen.has(key)) {
+                status = 'duplicate';
+            } else if (this.stateManager && this.stateManager.getSquare(x, y) && !this.stateManager.isSquareAvailable(x, y)) {
+                status = 'taken';
+            } else if (this.isHeldByOther(x, y, reservationId)) {
+                status = 'held';
+            }
+            seen.add(key);
+            return { x, y, status };
+        });
+    }
+
     /**
      * Retrieves current grid state from backend (simulated)
-     * In production, this would fetch the actual grid data
+     * The mock has no shared grid, so it returns null and localStorage stays authoritative
      * @returns {Promise<Object>} Result object with grid state data
      */
     async getGridState() {
@@ -89,10 +155,174 @@ export class MockAPI {
         
         return {
             success: true,
+            grid: null,
             message: 'Grid state retrieved'
         };
     }
 
+    /**
+     * Looks up the ownership record of a donation processed by this mock
+     * @param {string} transactionId - Unique transaction identifier
+     * @returns {Promise<Object>} Result object with the ownership record
+     */
+    async getOwnership(transactionId) {
+        await this.delay(200);
+
+        const ownership = this.transactions[transactionId];
+        if (!ownership) {
+            return {
+                success: false,
+                error: 'Transaction not found'
+            };
+        }
+
+        return {
+            success: true,
+            transactionId,
+            ownership
+        };
+    }
+
+    /**
+     * Checks if a square is held by a reservation other than the given one
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {string|null} reservationId - Reservation of the caller, if any
+     * @returns {boolean} True if someone else holds the square
+     */
+    isHeldByOther(x, y, reservationId) {
+        const hold = this.holds.get(`${x},${y}`);
+        return !!hold && hold.expiresAt > Date.now() && hold.reservationId !== reservationId;
+    }
+
+    /**
+     * Removes every hold placed by a reservation
+     * @param {string} reservationId - Reservation to release
+     */
+    releaseHolds(reservationId) {
+        this.holds.forEach((hold, key) => {
+            if (hold.reservationId === reservationId) {
+                this.holds.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Places a time-limited hold on squares during checkout (simulated)
+     * @param {Array<{x: number, y: number}>} squares - Squares to hold
+     * @returns {Promise<Object>} Result with reservationId and expiresAt, or the conflicting squares
+     */
+    async reserveSquares(squares) {
+        await this.delay(200);
+
+        const conflicts = squares.filter(s => this.isHeldByOther(s.x, s.y, null));
+        if (conflicts.length > 0) {
+            return {
+                success: false,
+                error: 'Some squares are being held by another donor',
+                conflicts: conflicts.map(s => ({ x: s.x, y: s.y }))
+            };
+        }
+
+        const reservationId = `RSV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+        const expiresAt = Date.now() + this.holdDuration;
+        squares.forEach(s => this.holds.set(`${s.x},${s.y}`, { reservationId, expiresAt }));
+
+        return {
+            success: true,
+            reservationId,
+            expiresAt,
+            squares: squares.map(s => ({ x: s.x, y: s.y, expiresAt }))
+        };
+    }
+
+    /**
+     * Releases a reservation's holds (simulated)
+     * @param {string} reservationId - Reservation to release
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async releaseReservation(reservationId) {
+        await this.delay(100);
+        this.releaseHolds(reservationId);
+
+        return {
+            success: true
+        };
+    }
+
+    /**
+     * Accepts color changes for owned squares (simulated)
+     * The mock has no shared grid, so there is nothing to update
+     * @param {string} transactionId - Transaction that owns the squares
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async updateSquareColors(transactionId, squares) {
+        await this.delay(100);
+
+        return {
+            success: true,
+            squares
+        };
+    }
+
+    /**
+     * Extends the lock on a transaction's squares (simulated)
+     * The squares still locked in local state are renewed; lapsed ones cannot be
+     * @param {Object} renewalData - The renewal information (see BackendAdapter.renewLock)
+     * @returns {Promise<Object>} Result with the renewal's transaction details and new expiry times
+     */
+    async renewLock(renewalData) {
+        await this.delay();
+
+        const { transactionId, email, totalAmount } = renewalData;
+
+        if (!email || !this.isValidEmail(email)) {
+            return {
+                success: false,
+                error: 'Invalid email address'
+            };
+        }
+
+        const transaction = this.stateManager
+            ? this.stateManager.getTransactions().find(t => t.transactionId === transactionId)
+            : null;
+        if (!transaction) {
+            return {
+                success: false,
+                error: 'Transaction not found'
+            };
+        }
+
+        // Squares in their grace period can still be renewed
+        const now = Date.now();
+        const locked = transaction.squares.filter(s => s.expiryTime + this.stateManager.gracePeriod > now);
+        if (locked.length === 0) {
+            return {
+                success: false,
+                error: 'The lock on this section has already lapsed'
+            };
+        }
+
+        const squarePrice = renewalData.squarePrice || totalAmount / locked.length;
+        const squares = locked.map(s => ({
+            x: s.x,
+            y: s.y,
+            expiryTime: Math.max(now, s.expiryTime) + this.stateManager.lockDuration
+        }));
+
+        return {
+            success: true,
+            transactionId: this.generateTransactionId(),
+            renewedTransactionId: transactionId,
+            email,
+            squares,
+            amount: Math.round(squares.length * squarePrice * 100) / 100,
+            timestamp: new Date(now).toISOString(),
+            message: 'Lock renewed successfully'
+        };
+    }
+
     /**
      * Generates a tax-deductible receipt for a donation
      * @param {Object} receiptData - Receipt information
@@ -101,12 +331,13 @@ export class MockAPI {
      * @param {number} receiptData.amount - Donation amount in dollars
      * @param {Array<{x: number, y: number}>} receiptData.squares - Donated squares
      * @param {string} receiptData.timestamp - ISO timestamp of transaction
+     * @param {string|null} [receiptData.renewalOf] - Transaction whose lock this renewal extended
      * @returns {Promise<Object>} Result with receipt details
      */
     async generateReceipt(receiptData) {
         await this.delay(300);
 
-        const { transactionId, email, amount, squares, timestamp } = receiptData;
+        const { transactionId, email, amount, squares, timestamp, renewalOf = null } = receiptData;
 
         return {
             success: true,
@@ -116,6 +347,7 @@ export class MockAPI {
                 amount,
                 squares,
                 timestamp,
+                renewalOf,
                 organizationName: 'Shield of Athena Foundation',
                 organizationEIN: '12-3456789', // Mock EIN
                 receiptNumber: `RCP-${Date.now()}`,
@@ -125,16 +357,6 @@ export class MockAPI {
         };
     }
 
-    /**
-     * Validates email address format using regex
-     * @param {string} email - Email address to validate
-     * @returns {boolean} True if email format is valid
-     */
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
     /**
      * Sends receipt via email (simulated - logs to console)
      * In production, this would trigger an actual email send
@@ -152,6 +374,23 @@ export class MockAPI {
             message: `Receipt sent to ${email}`
         };
     }
+
+    /**
+     * Sends a lock expiry reminder via email (simulated - logs to console)
+     * @param {string} email - Recipient email address
+     * @param {Object} reminder - Reminder data (transactionId, squares, expiryTime, message)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async sendReminderEmail(email, reminder) {
+        await this.delay();
+
+        console.log(`[MOCK] Sending expiry reminder to ${email}:`, reminder);
+
+        return {
+            success: true,
+            message: `Reminder sent to ${email}`
+        };
+    }
 }
 
 export const mockAPI = new MockAPI();
@@ -0,0 +1,135 @@
+/**
+ * Backend Adapter - Common interface for grid, donation, receipt and ownership backends
+ */
+
+export class BackendAdapter {
+    /**
+     * Processes a donation request
+     * @param {Object} donationData - The donation information
+     * @param {string} donationData.email - Donor's email address
+     * @param {Array<{x: number, y: number}>} donationData.squares - Selected grid squares
+     * @param {string} donationData.color - Selected color for the squares
+     * @param {number} donationData.totalAmount - Total donation amount in dollars
+     * @param {string} [donationData.username] - Username shown on the leaderboard
+     * @param {string|null} [donationData.url] - Optional URL associated with the section
+     * @param {string|null} [donationData.reservationId] - Reservation holding the squares during checkout
+     * @param {number} [donationData.squarePrice] - Price per square, used to charge only granted squares
+     * @returns {Promise<Object>} Result object with success status and transaction details
+     * When only some squares can be claimed the donation still succeeds: `squares` lists the granted
+     * squares, `amount` covers only those, and `results` / `rejectedSquares` give each square's
+     * status ('granted', 'taken', 'held', 'out_of_bounds' or 'duplicate')
+     */
+    async processDonation(donationData) {
+        throw new Error('processDonation() is not implemented by this backend');
+    }
+
+    /**
+     * Retrieves the current grid state
+     * A null grid means the backend holds no shared state and local data stays authoritative
+     * @returns {Promise<{success: boolean, grid: Object|null, holds?: Array<Object>, error?: string}>} Result object with grid data keyed by "x,y" and active holds
+     */
+    async getGridState() {
+        throw new Error('getGridState() is not implemented by this backend');
+    }
+
+    /**
+     * Generates a tax-deductible receipt for a donation
+     * @param {Object} receiptData - Receipt information (transactionId, email, amount, squares, timestamp)
+     * @returns {Promise<Object>} Result with receipt details
+     */
+    async generateReceipt(receiptData) {
+        throw new Error('generateReceipt() is not implemented by this backend');
+    }
+
+    /**
+     * Sends a receipt to the donor by email
+     * @param {string} email - Recipient email address
+     * @param {Object} receipt - Receipt data to send
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async sendReceiptEmail(email, receipt) {
+        throw new Error('sendReceiptEmail() is not implemented by this backend');
+    }
+
+    /**
+     * Sends the donor a reminder that the lock on their section is about to lapse
+     * @param {string} email - Recipient email address
+     * @param {Object} reminder - Reminder data (transactionId, squares, expiryTime, message)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async sendReminderEmail(email, reminder) {
+        throw new Error('sendReminderEmail() is not implemented by this backend');
+    }
+
+    /**
+     * Looks up the ownership record of a transaction
+     * @param {string} transactionId - Unique transaction identifier
+     * @returns {Promise<{success: boolean, ownership?: Object, error?: string}>} Result with squares, originalColor, url, username and timestamp
+     */
+    async getOwnership(transactionId) {
+        throw new Error('getOwnership() is not implemented by this backend');
+    }
+
+    /**
+     * Places a short time-limited hold on squares while the donor checks out
+     * @param {Array<{x: number, y: number}>} squares - Squares to hold
+     * @returns {Promise<{success: boolean, reservationId?: string, expiresAt?: number, conflicts?: Array<{x: number, y: number}>, error?: string}>} Result object
+     */
+    async reserveSquares(squares) {
+        throw new Error('reserveSquares() is not implemented by this backend');
+    }
+
+    /**
+     * Releases the holds placed by a reservation
+     * @param {string} reservationId - Reservation to release
+     * @returns {Promise<{success: boolean}>} Result object
+     */
+    async releaseReservation(reservationId) {
+        throw new Error('releaseReservation() is not implemented by this backend');
+    }
+
+    /**
+     * Repaints squares owned by a transaction on the backend
+     * @param {string} transactionId - Transaction that owns the squares
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     * @returns {Promise<{success: boolean, error?: string}>} Result object
+     */
+    async updateSquareColors(transactionId, squares) {
+        throw new Error('updateSquareColors() is not implemented by this backend');
+    }
+
+    /**
+     * Extends the lock on a transaction's squares before it lapses, paid for by a renewal donation
+     * Squares keep their colors; each expiry moves out by one lock duration from the later of now and its current expiry
+     * @param {Object} renewalData - The renewal information
+     * @param {string} renewalData.transactionId - Transaction whose squares are renewed
+     * @param {string} renewalData.email - Donor's email address
+     * @param {number} renewalData.totalAmount - Renewal amount in dollars
+     * @param {number} [renewalData.squarePrice] - Price per square, used to charge only squares still locked
+     * @returns {Promise<Object>} Result with the renewal's own transactionId, renewedTransactionId,
+     * squares ({ x, y, expiryTime }), amount and timestamp
+     */
+    async renewLock(renewalData) {
+        throw new Error('renewLock() is not implemented by this backend');
+    }
+
+    /**
+     * Subscribes to live grid changes made by other viewers
+     * Backends without a live channel never call the handler
+     * @param {Function} onEvent - Receives { type: 'claim' | 'color' | 'renew' | 'expire' | 'hold' | 'release' | 'resync', squares }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(onEvent) {
+        return () => {};
+    }
+
+    /**
+     * Validates email address format using regex
+     * @param {string} email - Email address to validate
+     * @returns {boolean} True if email format is valid
+     */
+    isValidEmail(email) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return emailRegex.test(email);
+    }
+}
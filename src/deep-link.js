@@ -0,0 +1,227 @@
+/**
+ * Deep Link - Keeps the view (center, zoom, highlighted section) in the URL hash so links open on the same spot
+ */
+
+import { DEFAULT_NAMESPACE } from './grid-storage.js';
+
+const TRANSACTION_ID = /^[\w-]{1,100}$/;
+const WRITE_DELAY = 300; // Milliseconds the view must settle before the address bar is updated
+
+/**
+ * Reads view state from a URL hash such as "#x=120&y=80&z=2&tx=TXN-123"
+ * @param {string} hash - location.hash, with or without the leading "#"
+ * @param {number} gridSize - Grid size (squares per side)
+ * @returns {{x: ?number, y: ?number, zoom: ?number, transactionId: ?string, namespace: string}} Parsed state; invalid values are null
+ */
+export function parseViewHash(hash, gridSize) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const number = (name, min, max) => {
+        const value = parseFloat(params.get(name));
+        return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : null;
+    };
+    const transactionId = params.get('tx');
+
+    return {
+        x: number('x', 0, gridSize),
+        y: number('y', 0, gridSize),
+        zoom: number('z', 0, Infinity),
+        transactionId: transactionId && TRANSACTION_ID.test(transactionId) ? transactionId : null,
+        namespace: params.get('ns') || DEFAULT_NAMESPACE
+    };
+}
+
+/**
+ * Writes view state as a URL hash
+ * @param {Object} state - View state
+ * @param {number} state.x - Grid X of the view center
+ * @param {number} state.y - Grid Y of the view center
+ * @param {?number} [state.zoom] - Renderer scale; omitted to fit the highlighted section
+ * @param {?string} [state.transactionId] - Section to highlight
+ * @param {string} [state.namespace] - Campaign namespace
+ * @returns {string} Hash including the leading "#"
+ */
+export function formatViewHash({ x, y, zoom = null, transactionId = null, namespace = DEFAULT_NAMESPACE }) {
+    const params = new URLSearchParams();
+    params.set('x', x.toFixed(1).replace(/\.0$/, ''));
+    params.set('y', y.toFixed(1).replace(/\.0$/, ''));
+    if (zoom !== null) {
+        params.set('z', String(Math.round(zoom * 100) / 100));
+    }
+    if (transactionId) {
+        params.set('tx', transactionId);
+    }
+    if (namespace !== DEFAULT_NAMESPACE) {
+        params.set('ns', namespace);
+    }
+    return '#' + params.toString();
+}
+
+export class DeepLink {
+    /**
+     * Creates a new DeepLink for one grid
+     * @param {GridRenderer} gridRenderer - Renderer whose view is linked
+     * @param {StateManager} stateManager - State management service
+     * @param {BackendAdapter} api - Backend, to look up sections the viewer does not own
+     * @param {string} namespace - Campaign namespace; links for other campaigns are ignored
+     */
+    constructor(gridRenderer, stateManager, api, namespace) {
+        this.gridRenderer = gridRenderer;
+        this.stateManager = stateManager;
+        this.api = api;
+        this.namespace = namespace;
+        this.transactionId = null; // Highlighted section, kept in the hash
+        this.lastHash = null;
+        this.writeTimer = null;
+
+        this.handleFrame = () => this.scheduleWrite();
+        this.handleHashChange = () => this.apply(window.location.hash);
+    }
+
+    /**
+     * Positions the view from the current URL and starts keeping the URL up to date
+     */
+    start() {
+        this.apply(window.location.hash);
+        this.gridRenderer.addViewportListener(this.handleFrame);
+        window.addEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Moves the view to the state in a hash and highlights its section
+     * @param {string} hash - URL hash to apply
+     */
+    apply(hash) {
+        const state = parseViewHash(hash, this.gridRenderer.gridSize);
+        if (state.namespace !== this.namespace) return;
+
+        const hasCenter = state.x !== null && state.y !== null;
+        if (hasCenter) {
+            if (state.zoom !== null) {
+                const renderer = this.gridRenderer;
+                renderer.scale = Math.max(renderer.minScale, Math.min(renderer.maxScale, state.zoom));
+            }
+            this.gridRenderer.centerOn(state.x, state.y);
+        }
+
+        if (state.transactionId) {
+            // Without a zoom the link asks to fit the whole section
+            this.highlightTransaction(state.transactionId, state.zoom === null);
+        } else {
+            this.clearHighlight();
+        }
+        this.lastHash = hash;
+    }
+
+    /**
+     * Outlines a section, looking it up on the backend if it is not one of the viewer's own
+     * @param {string} transactionId - Section to highlight
+     * @param {boolean} [fit=false] - Zoom the view to the section once found
+     * @returns {Promise<boolean>} True if the section was found
+     */
+    async highlightTransaction(transactionId, fit = false) {
+        this.transactionId = transactionId;
+        await this.stateManager.ready;
+
+        let squares;
+        const own = this.stateManager.getTransactions().find(t => t.transactionId === transactionId);
+        if (own) {
+            squares = own.squares;
+        } else {
+            const result = await this.api.getOwnership(transactionId);
+            if (!result.success) {
+                console.warn(`Linked section ${transactionId} not found:`, result.error);
+                return false;
+            }
+            squares = result.ownership.squares;
+        }
+
+        // Another link may have been opened while we were looking this one up
+        if (this.transactionId !== transactionId) return false;
+
+        this.gridRenderer.setHighlightedSquares(squares);
+        const bounds = this.stateManager.getSquaresBounds(squares);
+        if (fit && bounds) {
+            this.gridRenderer.zoomToBounds(bounds);
+        }
+        this.scheduleWrite();
+        return true;
+    }
+
+    /**
+     * Removes the section outline and drops it from the URL
+     */
+    clearHighlight() {
+        if (!this.transactionId && this.gridRenderer.highlightedSquares.size === 0) return;
+        this.transactionId = null;
+        this.gridRenderer.setHighlightedSquares([]);
+    }
+
+    /**
+     * Builds the hash for the current view
+     * @returns {string} Hash including the leading "#"
+     */
+    getCurrentHash() {
+        const viewport = this.gridRenderer.getViewport();
+        return formatViewHash({
+            x: viewport.x + viewport.width / 2,
+            y: viewport.y + viewport.height / 2,
+            zoom: this.gridRenderer.scale,
+            transactionId: this.transactionId,
+            namespace: this.namespace
+        });
+    }
+
+    /**
+     * Builds a link to the current view
+     * @returns {string} Absolute URL
+     */
+    getViewUrl() {
+        return this.getBaseUrl() + this.getCurrentHash();
+    }
+
+    /**
+     * Builds a link that opens zoomed to a section with it highlighted
+     * @param {Object} transaction - Transaction with transactionId and squares
+     * @returns {string} Absolute URL
+     */
+    getSectionUrl(transaction) {
+        const bounds = this.stateManager.getSquaresBounds(transaction.squares);
+        return this.getBaseUrl() + formatViewHash({
+            x: bounds ? (bounds.minX + bounds.maxX + 1) / 2 : this.gridRenderer.gridSize / 2,
+            y: bounds ? (bounds.minY + bounds.maxY + 1) / 2 : this.gridRenderer.gridSize / 2,
+            transactionId: transaction.transactionId,
+            namespace: this.namespace
+        });
+    }
+
+    /**
+     * Returns the page URL without its hash
+     * @returns {string} Absolute URL
+     */
+    getBaseUrl() {
+        return window.location.href.split('#')[0];
+    }
+
+    /**
+     * Updates the address bar once the view stops moving
+     * Uses replaceState so panning does not fill the back button history
+     */
+    scheduleWrite() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => {
+            const hash = this.getCurrentHash();
+            if (hash === this.lastHash) return;
+            this.lastHash = hash;
+            history.replaceState(history.state, '', hash);
+        }, WRITE_DELAY);
+    }
+
+    /**
+     * Stops following the view and the URL
+     */
+    destroy() {
+        clearTimeout(this.writeTimer);
+        this.gridRenderer.removeViewportListener(this.handleFrame);
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+}
@@ -2,37 +2,54 @@
  * Donation Modal - Handles donation UI and user interaction
  */
 
+import { trapFocus } from './focus-trap.js';
+
 export class DonationModal {
     /**
      * Creates a new DonationModal instance
      * @param {number} squarePrice - Price per square in dollars
-     * @param {MockAPI} mockAPI - API service for processing donations
+     * @param {BackendAdapter} api - Backend adapter for processing donations
      * @param {ReceiptGenerator} receiptGenerator - Service for generating receipts
      * @param {StateManager} stateManager - State management service
      */
-    constructor(squarePrice, mockAPI, receiptGenerator, stateManager) {
+    constructor(squarePrice, api, receiptGenerator, stateManager) {
         this.squarePrice = squarePrice;
-        this.mockAPI = mockAPI;
+        this.api = api;
         this.receiptGenerator = receiptGenerator;
         this.stateManager = stateManager;
         this.modal = null;
         this.onComplete = null;
+        this.onReselect = null;
+        this.reservationId = null;
+        this.handleEsc = null;
     }
 
     /**
      * Displays the donation modal with selected squares
      * @param {Array<{x: number, y: number}>} selectedSquares - Squares to be donated
      * @param {Function} onComplete - Callback function called after donation completes
+     * @param {Function} [onReselect] - Callback receiving squares that could not be claimed, to pick replacements
      */
-    show(selectedSquares, onComplete) {
+    show(selectedSquares, onComplete, onReselect = null) {
         this.onComplete = onComplete;
+        this.onReselect = onReselect;
         this.createModal(selectedSquares);
     }
 
     /**
      * Hides and removes the modal from the DOM
+     * Releases the checkout hold if the donation was not completed
      */
     hide() {
+        this.releaseReservation();
+        if (this.handleEsc) {
+            document.removeEventListener('keydown', this.handleEsc);
+            this.handleEsc = null;
+        }
+        if (this.releaseFocus) {
+            this.releaseFocus();
+            this.releaseFocus = null;
+        }
         if (this.modal) {
             this.modal.remove();
             this.modal = null;
@@ -53,9 +70,9 @@ export class DonationModal {
         this.modal.className = 'donation-modal';
         this.modal.innerHTML = `
             <div class="modal-overlay"></div>
-            <div class="modal-content">
+            <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="donationModalTitle">
                 <div class="modal-header">
-                    <h2>Complete Your Donation</h2>
+                    <h2 id="donationModalTitle">Complete Your Donation</h2>
                     <button class="close-btn" aria-label="Close">&times;</button>
                 </div>
                 
@@ -138,9 +155,11 @@ export class DonationModal {
                             </label>
                         </div>
                         
+                        <div class="hold-message">Reserving your squares...</div>
+                        
                         <div class="form-actions">
                             <button type="button" class="btn btn-secondary" id="cancelBtn">Cancel</button>
-                            <button type="submit" class="btn btn-primary" id="submitBtn">
+                            <button type="submit" class="btn btn-primary" id="submitBtn" disabled>
                                 Donate $${totalAmount.toFixed(2)}
                             </button>
                         </div>
@@ -151,6 +170,8 @@ export class DonationModal {
                         </div>
                         
                         <div class="error-message" style="display: none;"></div>
+                        
+                        <div class="rejected-squares-container"></div>
                     </form>
                 </div>
             </div>
@@ -158,12 +179,10 @@ export class DonationModal {
         
         document.body.appendChild(this.modal);
         this.attachModalListeners(selectedSquares, totalAmount);
+        this.reserveSelection(selectedSquares);
         
-        // Focus on email input
-        setTimeout(() => {
-            const emailInput = this.modal.querySelector('#email');
-            if (emailInput) emailInput.focus();
-        }, 100);
+        // Keep keyboard focus in the dialog, starting on the email input
+        this.releaseFocus = trapFocus(this.modal.querySelector('.modal-content'), this.modal.querySelector('#email'));
     }
 
     /**
@@ -187,13 +206,12 @@ export class DonationModal {
         overlay.addEventListener('click', closeModal);
         
         // ESC key to close
-        const handleEsc = (e) => {
+        this.handleEsc = (e) => {
             if (e.key === 'Escape') {
                 closeModal();
-                document.removeEventListener('keydown', handleEsc);
             }
         };
-        document.addEventListener('keydown', handleEsc);
+        document.addEventListener('keydown', this.handleEsc);
         
         // Color preset buttons
         colorPresets.forEach(preset => {
@@ -210,6 +228,65 @@ export class DonationModal {
         });
     }
 
+    /**
+     * Places a checkout hold on the selected squares so nobody else can buy them meanwhile
+     * Enables the submit button once the hold is in place
+     * @param {Array<{x: number, y: number}>} selectedSquares - Squares to hold
+     */
+    async reserveSelection(selectedSquares) {
+        const modal = this.modal;
+        let result;
+        try {
+            result = await this.api.reserveSquares(selectedSquares);
+        } catch (error) {
+            if (this.modal !== modal) return;
+            // No hold, but the donation itself still checks the squares are free
+            modal.querySelector('.hold-message').style.display = 'none';
+            const errorMsg = modal.querySelector('.error-message');
+            errorMsg.textContent = error.message;
+            errorMsg.style.display = 'block';
+            modal.querySelector('#submitBtn').disabled = false;
+            return;
+        }
+
+        // Modal was closed or replaced while the request was in flight
+        if (this.modal !== modal) {
+            if (result.success) {
+                this.api.releaseReservation(result.reservationId);
+            }
+            return;
+        }
+
+        const holdMsg = modal.querySelector('.hold-message');
+        const errorMsg = modal.querySelector('.error-message');
+        const submitBtn = modal.querySelector('#submitBtn');
+
+        if (result.success) {
+            this.reservationId = result.reservationId;
+            this.stateManager.setOwnReservation(result.reservationId, selectedSquares);
+            const minutes = Math.max(1, Math.round((result.expiresAt - Date.now()) / 60000));
+            holdMsg.textContent = `These squares are held for you for ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+            submitBtn.disabled = false;
+        } else {
+            holdMsg.style.display = 'none';
+            errorMsg.textContent = result.conflicts
+                ? `${result.conflicts.length} of your squares were just taken or are held by another donor. Please cancel and choose different squares.`
+                : (result.error || 'Could not reserve your squares');
+            errorMsg.style.display = 'block';
+        }
+    }
+
+    /**
+     * Releases the current checkout hold, if any
+     */
+    releaseReservation() {
+        if (this.reservationId) {
+            this.api.releaseReservation(this.reservationId);
+            this.reservationId = null;
+            this.stateManager.clearOwnReservation();
+        }
+    }
+
     /**
      * Handles donation form submission and processes the donation
      * Validates input, calls API, updates grid state, and generates receipt
@@ -238,41 +315,58 @@ export class DonationModal {
         errorMsg.style.display = 'none';
         
         try {
-            // Process donation through mock API
-            const donationResult = await this.mockAPI.processDonation({
+            // Process donation through the backend
+            const donationResult = await this.api.processDonation({
                 email,
                 squares: selectedSquares,
                 color,
-                totalAmount
+                totalAmount,
+                username,
+                url,
+                reservationId: this.reservationId,
+                squarePrice: this.squarePrice
             });
+            const rejectedSquares = donationResult.rejectedSquares || [];
             
             if (!donationResult.success) {
+                if (rejectedSquares.length > 0) {
+                    this.showRejectedSquares(this.modal.querySelector('.rejected-squares-container'), rejectedSquares, 0);
+                }
                 throw new Error(donationResult.error || 'Donation failed');
             }
             
+            // The hold was consumed by the donation
+            this.reservationId = null;
+            this.stateManager.clearOwnReservation();
+            
+            // Only the squares the backend granted are ours; never overwrite anyone else's
+            const grantedSquares = donationResult.squares || selectedSquares;
+            const amount = typeof donationResult.amount === 'number' ? donationResult.amount : totalAmount;
+            
             // Update grid state
-            const squaresWithColor = selectedSquares.map(s => ({
-                ...s,
+            const squaresWithColor = grantedSquares.map(s => ({
+                x: s.x,
+                y: s.y,
                 color,
                 email
             }));
             this.stateManager.setSquares(squaresWithColor);
             
             // Track ownership with original color, URL, and username
-            this.stateManager.addOwnedSquares(donationResult.transactionId, selectedSquares, color, url, username);
+            this.stateManager.addOwnedSquares(donationResult.transactionId, grantedSquares, color, url, username);
             
             // Generate receipt
-            const receiptResult = await this.mockAPI.generateReceipt({
+            const receiptResult = await this.api.generateReceipt({
                 transactionId: donationResult.transactionId,
                 email,
-                amount: totalAmount,
-                squares: selectedSquares,
+                amount,
+                squares: grantedSquares,
                 timestamp: donationResult.timestamp
             });
             
             if (receiptResult.success) {
                 // Show success and display receipt
-                this.showSuccess(receiptResult.receipt);
+                this.showSuccess(receiptResult.receipt, rejectedSquares);
             }
             
             // Notify completion
@@ -292,8 +386,9 @@ export class DonationModal {
     /**
      * Displays success message and receipt actions after donation
      * @param {Object} receiptData - Receipt information for the completed donation
+     * @param {Array<{x: number, y: number, status: string}>} [rejectedSquares] - Squares that could not be claimed
      */
-    showSuccess(receiptData) {
+    showSuccess(receiptData, rejectedSquares = []) {
         const modalBody = this.modal.querySelector('.modal-body');
         
         modalBody.innerHTML = `
@@ -303,6 +398,8 @@ export class DonationModal {
                 <p>Thank you for your contribution!</p>
                 <p>Your squares have been locked for 7 days.</p>
                 
+                <div class="rejected-squares-container"></div>
+                
                 <div class="receipt-actions">
                     <button class="btn btn-primary" id="viewReceiptBtn">View Receipt</button>
                     <button class="btn btn-secondary" id="downloadReceiptBtn">Download Receipt</button>
@@ -328,6 +425,52 @@ export class DonationModal {
         closeBtn.addEventListener('click', () => {
             this.hide();
         });
+        
+        if (rejectedSquares.length > 0) {
+            this.showRejectedSquares(modalBody.querySelector('.rejected-squares-container'), rejectedSquares, receiptData.squares.length);
+        }
+    }
+
+    /**
+     * Lists squares that could not be claimed and offers to pick replacements
+     * @param {HTMLElement} container - Element to render into
+     * @param {Array<{x: number, y: number, status: string}>} rejectedSquares - Squares that could not be claimed
+     * @param {number} grantedCount - Number of squares that were granted and charged
+     */
+    showRejectedSquares(container, rejectedSquares, grantedCount) {
+        const reasons = {
+            taken: 'already taken',
+            held: 'held by another donor',
+            out_of_bounds: 'outside the grid',
+            duplicate: 'selected twice'
+        };
+        const maxListed = 10;
+        const listed = rejectedSquares.slice(0, maxListed).map(s =>
+            `<li>(${s.x}, ${s.y}) — ${reasons[s.status] || 'unavailable'}</li>`
+        ).join('');
+        const more = rejectedSquares.length > maxListed
+            ? `<li>and ${rejectedSquares.length - maxListed} more</li>`
+            : '';
+        const chargeNote = grantedCount > 0
+            ? `You were only charged for the ${grantedCount} square${grantedCount === 1 ? '' : 's'} you received.`
+            : 'You have not been charged.';
+        
+        container.innerHTML = `
+            <div class="rejected-squares">
+                <p><strong>${rejectedSquares.length} square${rejectedSquares.length === 1 ? '' : 's'} could not be claimed.</strong> ${chargeNote}</p>
+                <ul>${listed}${more}</ul>
+                ${this.onReselect ? '<button type="button" class="btn btn-secondary" id="reselectBtn">Choose Replacement Squares</button>' : ''}
+            </div>
+        `;
+        
+        const reselectBtn = container.querySelector('#reselectBtn');
+        if (reselectBtn) {
+            reselectBtn.addEventListener('click', () => {
+                const onReselect = this.onReselect;
+                this.hide();
+                onReselect(rejectedSquares);
+            });
+        }
     }
 
 }
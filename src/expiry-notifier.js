@@ -0,0 +1,272 @@
+/**
+ * Expiry Notifier - Warns owners before the locks on their sections lapse
+ */
+
+import { storagePrefix } from './grid-storage.js';
+
+const CHECK_INTERVAL = 30 * 1000; // Countdown refresh; thresholds are hours apart, so this is plenty
+
+export class ExpiryNotifier {
+    /**
+     * Creates a new ExpiryNotifier for one grid
+     * @param {HTMLElement} container - Element the banners are shown in
+     * @param {StateManager} stateManager - State management service
+     * @param {BackendAdapter} api - Backend adapter used to queue reminder emails
+     * @param {Object} options - Notification settings
+     * @param {string} options.namespace - Campaign namespace, scoping which alerts were already raised
+     * @param {Array<number>} options.thresholds - Time before expiry, in milliseconds, at which to alert (e.g. 24h and 1h)
+     * @param {boolean} [options.browserNotifications=false] - Also raise system notifications once the user allows them
+     * @param {boolean} [options.reminderEmails=true] - Queue a reminder email to the donor at each threshold
+     * @param {Function} [options.onExtend] - Called with a transaction when the user chooses to extend its lock
+     */
+    constructor(container, stateManager, api, options) {
+        this.container = container;
+        this.stateManager = stateManager;
+        this.api = api;
+        this.storageKey = `${storagePrefix(options.namespace)}-expiry-alerts`;
+        this.thresholds = [...options.thresholds].sort((a, b) => a - b);
+        this.browserNotifications = !!options.browserNotifications && typeof Notification !== 'undefined';
+        this.reminderEmails = options.reminderEmails !== false;
+        this.onExtend = options.onExtend || null;
+        this.banners = new Map(); // transactionId -> banner element
+        this.checkInterval = null;
+
+        const stored = this.load();
+        this.notified = new Set(stored.notified); // Alerts whose email / system notification went out
+        this.dismissed = new Set(stored.dismissed); // Alerts whose banner the user closed
+
+        this.bannerList = document.createElement('div');
+        this.bannerList.className = 'expiry-banners';
+        this.bannerList.setAttribute('role', 'status');
+        this.bannerList.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.bannerList);
+    }
+
+    /**
+     * Loads the alerts raised earlier, shared by every tab of this campaign
+     * @returns {{notified: Array<string>, dismissed: Array<string>}} Alert keys
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const { notified, dismissed } = JSON.parse(stored);
+                if (Array.isArray(notified) && Array.isArray(dismissed)) {
+                    return { notified, dismissed };
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to load expiry alerts:', e);
+        }
+        return { notified: [], dismissed: [] };
+    }
+
+    /**
+     * Saves the alerts raised so far
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                notified: [...this.notified],
+                dismissed: [...this.dismissed]
+            }));
+        } catch (e) {
+            console.warn('Failed to save expiry alerts:', e);
+        }
+    }
+
+    /**
+     * Starts checking the user's sections against the thresholds
+     */
+    start() {
+        if (this.thresholds.length === 0) return;
+
+        // Alerts for sections not loaded yet would otherwise be forgotten
+        this.stateManager.ready.then(() => {
+            if (!this.bannerList.isConnected) return; // Destroyed while loading
+            this.check();
+            this.checkInterval = setInterval(() => this.check(), CHECK_INTERVAL);
+        });
+    }
+
+    /**
+     * Gets the moment the first square of a transaction lapses
+     * @param {Object} transaction - Transaction from StateManager.getTransactions()
+     * @returns {number} Expiry timestamp in milliseconds
+     */
+    getExpiryTime(transaction) {
+        return Math.min(...transaction.squares.map(s => s.expiryTime || Infinity));
+    }
+
+    /**
+     * Identifies one alert; a renewal moves the expiry, which arms the thresholds again
+     * @param {string} transactionId - Transaction the alert is about
+     * @param {number} expiryTime - Expiry the alert counts down to
+     * @param {number} threshold - Threshold that was crossed
+     * @returns {string} Alert key
+     */
+    getAlertKey(transactionId, expiryTime, threshold) {
+        return `${transactionId}@${expiryTime}:${threshold}`;
+    }
+
+    /**
+     * Raises alerts for sections that crossed a threshold and refreshes the countdowns
+     */
+    check() {
+        const now = Date.now();
+        const activeKeys = new Set();
+        const visible = new Set();
+        let changed = false;
+
+        // Pick up alerts raised or dismissed in other tabs meanwhile
+        const stored = this.load();
+        stored.notified.forEach(key => this.notified.add(key));
+        stored.dismissed.forEach(key => this.dismissed.add(key));
+
+        this.stateManager.getTransactions().forEach(transaction => {
+            const expiryTime = this.getExpiryTime(transaction);
+            const remaining = expiryTime - now;
+            if (!isFinite(expiryTime) || remaining <= 0) return;
+
+            // Only the tightest threshold crossed is raised, so a late first check does not fire them all
+            const crossed = this.thresholds.filter(threshold => remaining <= threshold);
+            this.thresholds.forEach(threshold => {
+                activeKeys.add(this.getAlertKey(transaction.transactionId, expiryTime, threshold));
+            });
+            if (crossed.length === 0) return;
+
+            const key = this.getAlertKey(transaction.transactionId, expiryTime, crossed[0]);
+            if (!this.notified.has(key)) {
+                crossed.forEach(threshold => this.notified.add(this.getAlertKey(transaction.transactionId, expiryTime, threshold)));
+                changed = true;
+                this.notify(transaction, expiryTime, remaining);
+            }
+            if (!this.dismissed.has(key)) {
+                visible.add(transaction.transactionId);
+                this.showBanner(transaction, key, remaining);
+            }
+        });
+
+        // Hide banners of sections that were renewed or lapsed
+        this.banners.forEach((banner, transactionId) => {
+            if (!visible.has(transactionId)) {
+                banner.remove();
+                this.banners.delete(transactionId);
+            }
+        });
+
+        // Forget alerts for expiries that no longer exist
+        [this.notified, this.dismissed].forEach(keys => {
+            keys.forEach(key => {
+                if (!activeKeys.has(key)) {
+                    keys.delete(key);
+                    changed = true;
+                }
+            });
+        });
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Builds the alert text for a section
+     * @param {Object} transaction - Transaction the alert is about
+     * @param {number} remaining - Time left in milliseconds
+     * @returns {string} Alert message
+     */
+    getMessage(transaction, remaining) {
+        const squares = `${transaction.count} square${transaction.count === 1 ? '' : 's'}`;
+        return `The lock on your section of ${squares} lapses soon: ${this.stateManager.formatTimeRemaining(remaining)}.`;
+    }
+
+    /**
+     * Shows or refreshes the banner for a section
+     * @param {Object} transaction - Transaction the alert is about
+     * @param {string} key - Alert key, remembered when the banner is dismissed
+     * @param {number} remaining - Time left in milliseconds
+     */
+    showBanner(transaction, key, remaining) {
+        let banner = this.banners.get(transaction.transactionId);
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'expiry-banner';
+            banner.innerHTML = `
+                <span class="expiry-banner-text"></span>
+                <button type="button" class="btn btn-primary btn-small expiry-banner-extend">⏳ Extend</button>
+                <button type="button" class="btn btn-secondary btn-small expiry-banner-notify">🔔 Notify me</button>
+                <button type="button" class="close-btn" aria-label="Dismiss">&times;</button>
+            `;
+            this.bannerList.appendChild(banner);
+            this.banners.set(transaction.transactionId, banner);
+
+            const notifyBtn = banner.querySelector('.expiry-banner-notify');
+            if (!this.browserNotifications || Notification.permission !== 'default') {
+                notifyBtn.remove();
+            } else {
+                notifyBtn.addEventListener('click', async () => {
+                    await Notification.requestPermission();
+                    this.bannerList.querySelectorAll('.expiry-banner-notify').forEach(btn => btn.remove());
+                });
+            }
+        }
+
+        // Refreshed on every check, so handlers read the latest transaction and key
+        banner.querySelector('.expiry-banner-text').textContent = this.getMessage(transaction, remaining);
+        banner.querySelector('.expiry-banner-extend').onclick = () => {
+            if (this.onExtend) {
+                this.onExtend(transaction);
+            }
+        };
+        banner.querySelector('.close-btn').onclick = () => {
+            this.dismissed.add(key);
+            this.save();
+            banner.remove();
+            this.banners.delete(transaction.transactionId);
+        };
+    }
+
+    /**
+     * Sends the one-off notifications for a crossed threshold
+     * @param {Object} transaction - Transaction the alert is about
+     * @param {number} expiryTime - Expiry timestamp in milliseconds
+     * @param {number} remaining - Time left in milliseconds
+     */
+    notify(transaction, expiryTime, remaining) {
+        const message = this.getMessage(transaction, remaining);
+
+        if (this.browserNotifications && Notification.permission === 'granted') {
+            try {
+                new Notification('Shield of Athena', { body: message, tag: `expiry-${transaction.transactionId}` });
+            } catch (e) {
+                console.warn('Failed to show notification:', e);
+            }
+        }
+
+        // Only squares claimed in this browser carry the donor's email
+        const owned = transaction.squares.find(s => s.email);
+        if (this.reminderEmails && owned) {
+            this.api.sendReminderEmail(owned.email, {
+                transactionId: transaction.transactionId,
+                squares: transaction.count,
+                expiryTime,
+                message
+            }).then(result => {
+                if (!result.success) {
+                    console.warn('Failed to queue reminder email:', result.error);
+                }
+            }).catch(e => console.warn('Failed to queue reminder email:', e));
+        }
+    }
+
+    /**
+     * Stops checking and removes the banners
+     */
+    destroy() {
+        clearInterval(this.checkInterval);
+        this.checkInterval = null;
+        this.banners.clear();
+        this.bannerList.remove();
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * Export Format - Versioned envelope for exported grid state, and strict validation on import
+ */
+
+export const EXPORT_FORMAT = 'shield-of-athena-export';
+export const EXPORT_VERSION = 1;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Wraps grid and ownership data in a versioned export envelope
+ * @param {Object} state - State to export
+ * @param {Object} state.grid - Grid state keyed by "x,y"
+ * @param {Object} state.ownership - Ownership records keyed by transaction ID
+ * @param {number} state.gridSize - Grid size (squares per side)
+ * @param {number} state.lockDuration - Lock duration in milliseconds
+ * @returns {Object} Export envelope
+ */
+export function createExport({ grid, ownership, gridSize, lockDuration }) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        gridSize,
+        lockDuration,
+        grid,
+        ownership
+    };
+}
+
+/**
+ * Parses and validates an exported file for a grid of the given size
+ * Unversioned files (a bare grid object, as exported before the envelope existed) are accepted without ownership
+ * @param {string} jsonString - File contents
+ * @param {number} gridSize - Size of the grid being imported into
+ * @returns {Object} Result with success, the validated grid and ownership (null if not exported), warnings, or a list of errors
+ */
+export function parseExport(jsonString, gridSize) {
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (e) {
+        return { success: false, error: 'File is not valid JSON', errors: [] };
+    }
+
+    if (!isPlainObject(data)) {
+        return { success: false, error: 'Export must be a JSON object', errors: [] };
+    }
+
+    const warnings = [];
+    let envelope;
+    if (data.format === undefined) {
+        // Unversioned export: the grid object itself
+        envelope = { version: 0, gridSize, grid: data, ownership: null };
+        warnings.push('Unversioned export: grid size cannot be checked and ownership is left as it is');
+    } else if (data.format !== EXPORT_FORMAT) {
+        return { success: false, error: `Unknown export format "${data.format}"`, errors: [] };
+    } else if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+        return { success: false, error: `Unsupported export version ${data.version}`, errors: [] };
+    } else {
+        envelope = data;
+    }
+
+    if (envelope.gridSize !== gridSize) {
+        return {
+            success: false,
+            error: `Export is for a ${envelope.gridSize}×${envelope.gridSize} grid; this grid is ${gridSize}×${gridSize}`,
+            errors: []
+        };
+    }
+
+    const errors = [];
+    const grid = validateGrid(envelope.grid, gridSize, errors);
+    const ownership = envelope.ownership === null ? null : validateOwnership(envelope.ownership, gridSize, errors);
+
+    if (envelope.lockDuration !== undefined && !isFiniteNumber(envelope.lockDuration)) {
+        errors.push('lockDuration must be a number');
+    }
+
+    if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+        if (errors.length > MAX_REPORTED_ERRORS) {
+            shown.push(`...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+        }
+        return { success: false, error: `Export failed validation (${errors.length} problem(s))`, errors: shown };
+    }
+
+    return {
+        success: true,
+        version: envelope.version,
+        lockDuration: envelope.lockDuration,
+        grid,
+        ownership,
+        warnings
+    };
+}
+
+/**
+ * Validates exported grid squares
+ * @param {*} grid - Grid object from the export
+ * @param {number} gridSize - Grid size (squares per side)
+ * @param {Array<string>} errors - Receives validation errors
+ * @returns {Object} Copy of the grid keyed by "x,y"
+ */
+function validateGrid(grid, gridSize, errors) {
+    if (!isPlainObject(grid)) {
+        errors.push('grid must be an object keyed by "x,y"');
+        return {};
+    }
+
+    const validated = {};
+    Object.keys(grid).forEach(key => {
+        const square = grid[key];
+        const match = /^(\d+),(\d+)$/.exec(key);
+        if (!match) {
+            errors.push(`grid key "${key}" is not "x,y"`);
+            return;
+        }
+
+        const x = Number(match[1]);
+        const y = Number(match[2]);
+        if (!inBounds(x, y, gridSize)) {
+            errors.push(`square ${key} is outside the grid`);
+            return;
+        }
+        if (!isPlainObject(square)) {
+            errors.push(`square ${key} must be an object`);
+            return;
+        }
+        if ((square.x !== undefined && square.x !== x) || (square.y !== undefined && square.y !== y)) {
+            errors.push(`square ${key} has coordinates (${square.x}, ${square.y})`);
+        }
+        if (typeof square.color !== 'string' || !HEX_COLOR.test(square.color)) {
+            errors.push(`square ${key} has invalid color ${JSON.stringify(square.color)}`);
+        }
+        ['timestamp', 'expiryTime'].forEach(field => {
+            if (!isFiniteNumber(square[field])) {
+                errors.push(`square ${key} has non-numeric ${field}`);
+            }
+        });
+        if (square.email !== undefined && typeof square.email !== 'string') {
+            errors.push(`square ${key} has invalid email`);
+        }
+
+        validated[key] = { ...square, x, y };
+    });
+    return validated;
+}
+
+/**
+ * Validates exported ownership records
+ * @param {*} ownership - Ownership object from the export
+ * @param {number} gridSize - Grid size (squares per side)
+ * @param {Array<string>} errors - Receives validation errors
+ * @returns {Object} Copy of the ownership records keyed by transaction ID
+ */
+function validateOwnership(ownership, gridSize, errors) {
+    if (!isPlainObject(ownership)) {
+        errors.push('ownership must be an object keyed by transaction ID');
+        return {};
+    }
+
+    const validated = {};
+    Object.keys(ownership).forEach(transactionId => {
+        const transaction = ownership[transactionId];
+        if (!isPlainObject(transaction)) {
+            errors.push(`transaction ${transactionId} must be an object`);
+            return;
+        }
+        if (!Array.isArray(transaction.squares)) {
+            errors.push(`transaction ${transactionId} has no squares list`);
+            return;
+        }
+
+        const squares = [];
+        transaction.squares.forEach(s => {
+            if (!s || !Number.isInteger(s.x) || !Number.isInteger(s.y) || !inBounds(s.x, s.y, gridSize)) {
+                errors.push(`transaction ${transactionId} has invalid square ${JSON.stringify(s)}`);
+            } else {
+                squares.push({ x: s.x, y: s.y });
+            }
+        });
+        if (!isFiniteNumber(transaction.timestamp)) {
+            errors.push(`transaction ${transactionId} has non-numeric timestamp`);
+        }
+        if (transaction.originalColor !== undefined && !HEX_COLOR.test(transaction.originalColor)) {
+            errors.push(`transaction ${transactionId} has invalid originalColor ${JSON.stringify(transaction.originalColor)}`);
+        }
+        if (transaction.url !== undefined && transaction.url !== null && typeof transaction.url !== 'string') {
+            errors.push(`transaction ${transactionId} has invalid url`);
+        }
+        if (transaction.username !== undefined && typeof transaction.username !== 'string') {
+            errors.push(`transaction ${transactionId} has invalid username`);
+        }
+        if (transaction.donatedCount !== undefined && !(Number.isInteger(transaction.donatedCount) && transaction.donatedCount >= 0)) {
+            errors.push(`transaction ${transactionId} has invalid donatedCount`);
+        }
+
+        validated[transactionId] = { ...transaction, squares };
+    });
+    return validated;
+}
+
+/**
+ * Checks for a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks for a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Checks that coordinates lie on the grid
+ * @param {number} x - Grid X coordinate
+ * @param {number} y - Grid Y coordinate
+ * @param {number} gridSize - Grid size (squares per side)
+ * @returns {boolean} True if in bounds
+ */
+function inBounds(x, y, gridSize) {
+    return x >= 0 && x < gridSize && y >= 0 && y < gridSize;
+}
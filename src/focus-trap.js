@@ -0,0 +1,65 @@
+/**
+ * Focus Trap - Keeps keyboard focus inside an open dialog and returns it afterwards
+ */
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Traps Tab and Shift+Tab inside a container until released
+ * The dialog's content may change while open (e.g. a form replaced by a success message)
+ * @param {HTMLElement} container - Dialog element
+ * @param {HTMLElement} [initialFocus] - Element to focus first; defaults to the first focusable element
+ * @returns {Function} Releases the trap and refocuses the element that had focus before
+ */
+export function trapFocus(container, initialFocus = null) {
+    const previousFocus = document.activeElement;
+
+    const getFocusable = () => Array.from(container.querySelectorAll(FOCUSABLE))
+        .filter(el => el.getClientRects().length > 0);
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            container.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!container.contains(document.activeElement)) {
+            // Focus was lost, e.g. the focused button was removed
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    // The container itself can take focus when it has nothing focusable
+    if (!container.hasAttribute('tabindex')) {
+        container.setAttribute('tabindex', '-1');
+    }
+    document.addEventListener('keydown', handleKeyDown);
+    (initialFocus || getFocusable()[0] || container).focus();
+
+    return () => {
+        document.removeEventListener('keydown', handleKeyDown);
+        if (previousFocus && previousFocus.focus && previousFocus.isConnected) {
+            previousFocus.focus();
+        }
+    };
+}
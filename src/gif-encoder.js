@@ -0,0 +1,284 @@
+/**
+ * GIF Encoder - Writes animated GIF89a files from RGBA frames, without dependencies
+ */
+
+const MAX_CODES = 4096; // LZW codes are at most 12 bits
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+    /**
+     * Creates an empty buffer
+     * @param {number} [capacity=4096] - Initial size in bytes
+     */
+    constructor(capacity = 4096) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    /**
+     * Appends one byte, growing the buffer as needed
+     * @param {number} value - Byte value (0-255)
+     */
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * Appends a 16-bit little-endian number
+     * @param {number} value - Number (0-65535)
+     */
+    short(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    /**
+     * Appends ASCII text
+     * @param {string} text - Text to write byte by byte
+     */
+    text(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+
+    /**
+     * Appends data split into the sub-blocks GIF uses (at most 255 bytes each), then the block terminator
+     * @param {Uint8Array} data - Bytes to write
+     */
+    subBlocks(data) {
+        for (let i = 0; i < data.length; i += 255) {
+            const size = Math.min(255, data.length - i);
+            this.byte(size);
+            for (let j = 0; j < size; j++) {
+                this.byte(data[i + j]);
+            }
+        }
+        this.byte(0);
+    }
+
+    /**
+     * Returns the bytes written so far
+     * @returns {Uint8Array} Written bytes
+     */
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+export class GifEncoder {
+    /**
+     * Creates a new GifEncoder for frames of one size
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} [options] - Animation options
+     * @param {number} [options.delay=10] - Time each frame is shown, in hundredths of a second
+     * @param {number} [options.loop=0] - Times to repeat the animation; 0 loops forever
+     */
+    constructor(width, height, { delay = 10, loop = 0 } = {}) {
+        if (width < 1 || height < 1 || width > 65535 || height > 65535) {
+            throw new Error('GIF size must be between 1 and 65535 pixels');
+        }
+        this.width = width;
+        this.height = height;
+        this.delay = delay;
+        this.out = new ByteWriter(width * height);
+        this.frameCount = 0;
+
+        // Header and logical screen; every frame brings its own color table
+        this.out.text('GIF89a');
+        this.out.short(width);
+        this.out.short(height);
+        this.out.byte(0); // No global color table
+        this.out.byte(0); // Background color index
+        this.out.byte(0); // Square pixels
+
+        // NETSCAPE2.0 extension: repeat count
+        this.out.byte(0x21);
+        this.out.byte(0xff);
+        this.out.byte(11);
+        this.out.text('NETSCAPE2.0');
+        this.out.byte(3);
+        this.out.byte(1);
+        this.out.short(loop);
+        this.out.byte(0);
+    }
+
+    /**
+     * Adds a frame; colors are exact up to 256 per frame, beyond that they are reduced to a 6×6×6 color cube
+     * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels as RGBA bytes, width × height × 4 long (alpha is ignored)
+     */
+    addFrame(rgba) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error('Frame size does not match the GIF size');
+        }
+
+        const { palette, indices } = this.indexColors(rgba);
+        let tableBits = 1;
+        while ((1 << tableBits) < palette.length) {
+            tableBits++;
+        }
+
+        // Graphic control extension: delay, keep the frame when the next one is drawn
+        this.out.byte(0x21);
+        this.out.byte(0xf9);
+        this.out.byte(4);
+        this.out.byte(0x04);
+        this.out.short(this.delay);
+        this.out.byte(0);
+        this.out.byte(0);
+
+        // Image descriptor with a local color table
+        this.out.byte(0x2c);
+        this.out.short(0);
+        this.out.short(0);
+        this.out.short(this.width);
+        this.out.short(this.height);
+        this.out.byte(0x80 | (tableBits - 1));
+        for (let i = 0; i < (1 << tableBits); i++) {
+            const color = palette[i] || 0;
+            this.out.byte((color >> 16) & 0xff);
+            this.out.byte((color >> 8) & 0xff);
+            this.out.byte(color & 0xff);
+        }
+
+        const minCodeSize = Math.max(2, tableBits);
+        this.out.byte(minCodeSize);
+        this.out.subBlocks(this.compress(indices, minCodeSize));
+        this.frameCount++;
+    }
+
+    /**
+     * Maps each pixel to a palette index
+     * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels as RGBA bytes
+     * @returns {{palette: Array<number>, indices: Uint8Array}} Palette of 0xRRGGBB colors and one index per pixel
+     */
+    indexColors(rgba) {
+        const pixelCount = this.width * this.height;
+        const indices = new Uint8Array(pixelCount);
+        const lookup = new Map(); // 0xRRGGBB -> index
+        const palette = [];
+
+        for (let i = 0; i < pixelCount; i++) {
+            const color = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+            let index = lookup.get(color);
+            if (index === undefined) {
+                if (palette.length === 256) {
+                    return this.indexColorCube(rgba);
+                }
+                index = palette.length;
+                palette.push(color);
+                lookup.set(color, index);
+            }
+            indices[i] = index;
+        }
+
+        return { palette, indices };
+    }
+
+    /**
+     * Maps each pixel to the nearest color of a 6×6×6 cube, for frames with more than 256 colors
+     * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels as RGBA bytes
+     * @returns {{palette: Array<number>, indices: Uint8Array}} Palette of 0xRRGGBB colors and one index per pixel
+     */
+    indexColorCube(rgba) {
+        const palette = [];
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 6; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push((r * 51 << 16) | (g * 51 << 8) | b * 51);
+                }
+            }
+        }
+
+        const pixelCount = this.width * this.height;
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const r = Math.round(rgba[i * 4] / 51);
+            const g = Math.round(rgba[i * 4 + 1] / 51);
+            const b = Math.round(rgba[i * 4 + 2] / 51);
+            indices[i] = r * 36 + g * 6 + b;
+        }
+
+        return { palette, indices };
+    }
+
+    /**
+     * Compresses palette indices with GIF's variable-width LZW
+     * @param {Uint8Array} indices - One palette index per pixel
+     * @param {number} minCodeSize - Bits per palette index (at least 2)
+     * @returns {Uint8Array} Compressed bit stream, least significant bit first
+     */
+    compress(indices, minCodeSize) {
+        const out = new ByteWriter(Math.max(16, indices.length >> 1));
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map(); // (prefix code << 8 | index) -> code
+        let bits = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.byte(bits & 0xff);
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === MAX_CODES) {
+                // Table full: start over rather than keep coding with a stale table
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            out.byte(bits & 0xff);
+        }
+
+        return out.result();
+    }
+
+    /**
+     * Ends the animation
+     * @returns {Uint8Array} The complete GIF file
+     */
+    finish() {
+        if (this.frameCount === 0) {
+            throw new Error('A GIF needs at least one frame');
+        }
+        this.out.byte(0x3b);
+        return this.out.result();
+    }
+}
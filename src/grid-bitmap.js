@@ -0,0 +1,166 @@
+/**
+ * Grid Bitmap - Offscreen 1px-per-square image of the grid, updated only where squares change
+ */
+
+export class GridBitmap {
+    /**
+     * Creates a new GridBitmap kept in sync with StateManager
+     * @param {number} gridSize - Size of the grid (squares per side)
+     * @param {StateManager} stateManager - State management service
+     */
+    constructor(gridSize, stateManager) {
+        this.gridSize = gridSize;
+        this.stateManager = stateManager;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = gridSize;
+        this.canvas.height = gridSize;
+        this.ctx = this.canvas.getContext('2d');
+        this.imageData = this.ctx.createImageData(gridSize, gridSize);
+
+        this.emptyColor = '#f5f5f5'; // Available square
+        this.heldColor = '#CACAD7'; // Held by another donor during checkout
+        this.colorCache = new Map(); // CSS color -> [r, g, b]
+
+        // Pixels changed since the last flush, as a bounding box
+        this.dirty = null;
+        this.fullRepaint = true;
+        this.nextHoldExpiry = Infinity; // Holds lapse without a change event
+        this.nextLockExpiry = Infinity; // Locks entering their grace period fade without one too
+        this.graceFade = 0.6; // Share of white mixed into squares in their grace period
+
+        this.handleStateChange = this.handleStateChange.bind(this);
+        this.stateManager.addListener(this.handleStateChange);
+    }
+
+    /**
+     * Invalidates the squares named in a StateManager change notification
+     * @param {Object} changeData - Change data from StateManager listeners
+     */
+    handleStateChange(changeData) {
+        if (!changeData || changeData.fullRefresh) {
+            this.invalidateAll();
+        } else if (changeData.multiple) {
+            changeData.squares.forEach(({ x, y }) => this.invalidate(x, y));
+        } else if (typeof changeData.x === 'number') {
+            this.invalidate(changeData.x, changeData.y);
+        }
+    }
+
+    /**
+     * Marks a single square for repainting on the next flush
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     */
+    invalidate(x, y) {
+        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) return;
+
+        this.paintPixel(x, y);
+        if (!this.dirty) {
+            this.dirty = { minX: x, minY: y, maxX: x, maxY: y };
+        } else {
+            this.dirty.minX = Math.min(this.dirty.minX, x);
+            this.dirty.minY = Math.min(this.dirty.minY, y);
+            this.dirty.maxX = Math.max(this.dirty.maxX, x);
+            this.dirty.maxY = Math.max(this.dirty.maxY, y);
+        }
+    }
+
+    /**
+     * Marks the whole grid for repainting on the next flush
+     */
+    invalidateAll() {
+        this.fullRepaint = true;
+    }
+
+    /**
+     * Writes the current color of a square into the pixel buffer
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     */
+    paintPixel(x, y) {
+        const square = this.stateManager.getSquare(x, y);
+        let color = this.emptyColor;
+        let fade = 0;
+        if (square) {
+            color = square.color;
+            if (this.stateManager.isInGracePeriod(x, y)) {
+                fade = this.graceFade;
+            } else if (this.stateManager.gracePeriod > 0 && square.expiryTime) {
+                this.nextLockExpiry = Math.min(this.nextLockExpiry, square.expiryTime);
+            }
+        } else if (this.stateManager.isSquareHeld(x, y)) {
+            color = this.heldColor;
+            this.nextHoldExpiry = Math.min(this.nextHoldExpiry, this.stateManager.getHoldExpiry(x, y));
+        }
+
+        const [r, g, b] = this.parseColor(color).map(c => Math.round(c + (255 - c) * fade));
+        const i = (y * this.gridSize + x) * 4;
+        const data = this.imageData.data;
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    }
+
+    /**
+     * Converts a CSS color to RGB components, caching the result
+     * @param {string} color - Any CSS color, usually a hex code
+     * @returns {Array<number>} Red, green and blue components (0-255)
+     */
+    parseColor(color) {
+        let rgb = this.colorCache.get(color);
+        if (rgb) return rgb;
+
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            rgb = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+        } else {
+            // Let the canvas resolve named and rgb() colors
+            this.ctx.fillStyle = '#000000';
+            this.ctx.fillStyle = color;
+            const resolved = /^#([0-9a-f]{6})$/i.exec(this.ctx.fillStyle);
+            rgb = resolved ? [0, 2, 4].map(i => parseInt(resolved[1].substr(i, 2), 16)) : [0, 0, 0];
+        }
+
+        this.colorCache.set(color, rgb);
+        return rgb;
+    }
+
+    /**
+     * Copies pending pixel changes to the offscreen canvas
+     * @returns {HTMLCanvasElement} The up-to-date bitmap, one pixel per square
+     */
+    flush() {
+        const now = Date.now();
+        if (now >= this.nextHoldExpiry || now >= this.nextLockExpiry) {
+            this.fullRepaint = true;
+        }
+
+        if (this.fullRepaint) {
+            this.nextHoldExpiry = Infinity;
+            this.nextLockExpiry = Infinity;
+            for (let y = 0; y < this.gridSize; y++) {
+                for (let x = 0; x < this.gridSize; x++) {
+                    this.paintPixel(x, y);
+                }
+            }
+            this.ctx.putImageData(this.imageData, 0, 0);
+            this.fullRepaint = false;
+        } else if (this.dirty) {
+            const { minX, minY, maxX, maxY } = this.dirty;
+            this.ctx.putImageData(this.imageData, 0, 0, minX, minY, maxX - minX + 1, maxY - minY + 1);
+        }
+        this.dirty = null;
+
+        return this.canvas;
+    }
+
+    /**
+     * Stops listening for state changes
+     */
+    destroy() {
+        this.stateManager.removeListener(this.handleStateChange);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Grid Geometry - Square sets covered by lines, rectangles, ellipses, outlines and flood fills on the grid
+ */
+
+/**
+ * Lists the squares on a straight line between two squares (Bresenham)
+ * @param {{x: number, y: number}} start - First square
+ * @param {{x: number, y: number}} end - Last square
+ * @returns {Array<{x: number, y: number}>} Squares from start to end, inclusive
+ */
+export function lineSquares(start, end) {
+    const squares = [];
+    const dx = Math.abs(end.x - start.x);
+    const dy = -Math.abs(end.y - start.y);
+    const stepX = start.x < end.x ? 1 : -1;
+    const stepY = start.y < end.y ? 1 : -1;
+    let error = dx + dy;
+    let x = start.x;
+    let y = start.y;
+
+    while (true) {
+        squares.push({ x, y });
+        if (x === end.x && y === end.y) break;
+        const doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x += stepX;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y += stepY;
+        }
+    }
+
+    return squares;
+}
+
+/**
+ * Lists the squares of a rectangle spanned by two corner squares
+ * @param {{x: number, y: number}} start - One corner
+ * @param {{x: number, y: number}} end - Opposite corner
+ * @param {boolean} filled - True for the whole area, false for the outline only
+ * @returns {Array<{x: number, y: number}>} Squares of the rectangle
+ */
+export function rectangleSquares(start, end, filled) {
+    const squares = [];
+    const minX = Math.min(start.x, end.x);
+    const maxX = Math.max(start.x, end.x);
+    const minY = Math.min(start.y, end.y);
+    const maxY = Math.max(start.y, end.y);
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (filled || x === minX || x === maxX || y === minY || y === maxY) {
+                squares.push({ x, y });
+            }
+        }
+    }
+
+    return squares;
+}
+
+/**
+ * Lists the squares connected to a start square (4-way) that pass a test
+ * @param {{x: number, y: number}} start - Square to fill from
+ * @param {Function} canFill - Receives (x, y); returns true if the fill may spread to that square
+ * @returns {Array<{x: number, y: number}>} Connected squares, empty if the start square fails the test
+ */
+export function floodFillSquares(start, canFill) {
+    const squares = [];
+    if (!canFill(start.x, start.y)) return squares;
+
+    const visited = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; i++) {
+        const { x, y } = queue[i];
+        squares.push({ x, y });
+
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+            const next = { x: x + dx, y: y + dy };
+            const key = `${next.x},${next.y}`;
+            if (!visited.has(key) && canFill(next.x, next.y)) {
+                visited.add(key);
+                queue.push(next);
+            }
+        });
+    }
+
+    return squares;
+}
+
+/**
+ * Lists the squares inside the ellipse inscribed in the rectangle spanned by two corner squares
+ * @param {{x: number, y: number}} start - One corner
+ * @param {{x: number, y: number}} end - Opposite corner
+ * @returns {Array<{x: number, y: number}>} Squares whose centers lie inside the ellipse
+ */
+export function ellipseSquares(start, end) {
+    const squares = [];
+    const minX = Math.min(start.x, end.x);
+    const maxX = Math.max(start.x, end.x);
+    const minY = Math.min(start.y, end.y);
+    const maxY = Math.max(start.y, end.y);
+    const radiusX = (maxX - minX + 1) / 2;
+    const radiusY = (maxY - minY + 1) / 2;
+    const centerX = minX + radiusX;
+    const centerY = minY + radiusY;
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const dx = (x + 0.5 - centerX) / radiusX;
+            const dy = (y + 0.5 - centerY) / radiusY;
+            if (dx * dx + dy * dy <= 1) {
+                squares.push({ x, y });
+            }
+        }
+    }
+
+    return squares;
+}
+
+/**
+ * Lists the squares inside a closed free-form outline (even-odd rule)
+ * @param {Array<{x: number, y: number}>} points - Outline in fractional grid coordinates
+ * @returns {Array<{x: number, y: number}>} Squares whose centers lie inside the outline
+ */
+export function polygonSquares(points) {
+    const squares = [];
+    if (points.length < 3) return squares;
+
+    const minY = Math.floor(Math.min(...points.map(p => p.y)));
+    const maxY = Math.ceil(Math.max(...points.map(p => p.y)));
+
+    // Scan each row through the square centers and fill between edge crossings
+    for (let y = minY; y <= maxY; y++) {
+        const scanY = y + 0.5;
+        const crossings = [];
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            if ((a.y <= scanY) !== (b.y <= scanY)) {
+                crossings.push(a.x + (scanY - a.y) / (b.y - a.y) * (b.x - a.x));
+            }
+        });
+        crossings.sort((a, b) => a - b);
+
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            // Squares whose centers fall between the two crossings
+            const fromX = Math.ceil(crossings[i] - 0.5);
+            const toX = Math.floor(crossings[i + 1] - 0.5);
+            for (let x = fromX; x <= toX; x++) {
+                squares.push({ x, y });
+            }
+        }
+    }
+
+    return squares;
+}
@@ -2,17 +2,27 @@
  * Grid Renderer - Canvas-based rendering with zoom and pan
  */
 
+import { GridBitmap } from './grid-bitmap.js';
+import { lineSquares, rectangleSquares, ellipseSquares, polygonSquares, floodFillSquares } from './grid-geometry.js';
+
+const LONG_PRESS_MS = 500; // Hold this long without moving to start a touch selection
+const TAP_SLOP = 10; // Pixels a finger may drift and still count as a tap or long press
+const INERTIA_FRICTION = 0.95; // Share of pan speed kept every 16ms after release
+const MIN_INERTIA_SPEED = 0.02; // Pixels per millisecond below which inertia stops
+
 export class GridRenderer {
     /**
      * Creates a new GridRenderer instance for canvas-based grid visualization
      * @param {HTMLElement} container - DOM container for the canvas
      * @param {number} gridSize - Size of the grid (number of squares per side)
      * @param {StateManager} stateManager - State management service
+     * @param {PaintHistory} [paintHistory] - Records paint strokes for undo/redo
      */
-    constructor(container, gridSize, stateManager) {
+    constructor(container, gridSize, stateManager, paintHistory = null) {
         this.container = container;
         this.gridSize = gridSize;
         this.stateManager = stateManager;
+        this.paintHistory = paintHistory;
         
         // Canvas setup
         this.canvas = document.createElement('canvas');
@@ -35,16 +45,51 @@ export class GridRenderer {
         this.hoveredSquare = null;
         this.selectedSquares = new Set();
         this.selectionStart = null;
+        this.selectionTool = 'rectangle'; // 'rectangle', 'ellipse', 'circle', 'lasso' or 'wand'
+        this.selectionMode = 'replace'; // 'replace', 'add' (Shift) or 'subtract' (Alt)
+        this.selectionBase = new Set(); // Selection before the current drag, combined with its shape
+        this.lassoPoints = []; // Lasso outline in fractional grid coordinates
+        
+        // Touch gesture state
+        this.touchMode = null; // 'pending' (tap or long press), 'pan', 'pinch', 'select' or 'paint'
+        this.touchStartPoint = null;
+        this.lastTouchPoint = null;
+        this.lastTouchTime = 0;
+        this.lastPinch = null; // { x, y, distance } of the previous two-finger move
+        this.longPressTimer = null;
+        this.panVelocity = { x: 0, y: 0 }; // Pixels per millisecond, for inertia after release
+        this.inertiaFrame = null;
+        
+        // Keyboard and screen reader state
+        this.keyboardCursor = null; // Square moved with the arrow keys
+        this.keyboardAnchor = null; // Corner of a Shift+arrow selection
+        this.hasFocus = false;
+        this.liveRegion = null; // Announces the square under the keyboard cursor
         
         // Rendering optimization
         this.squareSize = 10; // Base size of each square in pixels
         this.needsRedraw = true;
+        this.bitmap = new GridBitmap(gridSize, stateManager);
+        this.liveBitmap = this.bitmap; // Put back when a replay ends
+        this.replay = null; // ReplayState shown instead of the live grid during a time-lapse replay
+        this.viewportListeners = []; // Called after each frame with the renderer, e.g. by the minimap
+        this.viewWidth = 0; // Canvas size in CSS pixels; all drawing and hit-testing use these units
+        this.viewHeight = 0;
+        this.pixelRatio = 1; // Device pixels per CSS pixel of the canvas backing store
+        this.pixelRatioQuery = null; // Fires when the window moves to a screen with another pixel ratio
         
         // Paint mode
         this.isPaintMode = false;
         this.paintColor = '#FF0000';
         this.isPainting = false;
         this.isEraseMode = false;
+        this.paintTool = 'brush'; // 'brush', 'line', 'rectangle', 'filled-rectangle', 'fill' or 'eyedropper'
+        this.toolStart = null; // First square of a line or rectangle drag
+        this.lastPaintCoord = null; // Last brush position, to fill gaps between mouse moves
+        this.pendingStroke = new Map(); // "x,y" -> { x, y, color }, previewed until the stroke is committed
+        this.onColorPicked = null; // Called with the color sampled by the eyedropper
+        this.previewSquares = new Map(); // "x,y" -> { x, y, color } proposed by an image import
+        this.highlightedSquares = new Set(); // "x,y" keys of a section outlined for a shared link
         
         this.init();
     }
@@ -65,21 +110,66 @@ export class GridRenderer {
      */
     setupCanvas() {
         this.canvas.className = 'shield-canvas';
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'application');
+        this.canvas.setAttribute('aria-label',
+            `Donation grid, ${this.gridSize} by ${this.gridSize} squares. ` +
+            'Arrow keys move, Shift+arrows extend the selection, Enter toggles a square, plus and minus zoom, Escape clears the selection.');
         this.container.appendChild(this.canvas);
+        
+        // Screen readers hear square details from here as the keyboard cursor moves
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.liveRegion);
         this.resize();
         
         // Handle window resize
-        window.addEventListener('resize', () => this.resize());
+        this.handleResize = () => this.resize();
+        window.addEventListener('resize', this.handleResize);
+        
+        // Re-render sharply when the window moves between screens of different density
+        this.handlePixelRatioChange = () => {
+            this.watchPixelRatio();
+            this.resize();
+        };
+        this.watchPixelRatio();
+    }
+
+    /**
+     * Listens for the next change of devicePixelRatio
+     * A resolution media query only matches one ratio, so it is replaced after every change
+     */
+    watchPixelRatio() {
+        this.stopWatchingPixelRatio();
+        if (!window.matchMedia) return;
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange);
+    }
+
+    /**
+     * Stops listening for devicePixelRatio changes
+     */
+    stopWatchingPixelRatio() {
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+            this.pixelRatioQuery = null;
+        }
     }
 
     /**
      * Resizes canvas to match container dimensions
-     * Called on window resize events
+     * The backing store gets one pixel per device pixel; CSS keeps the element at the container size
+     * Called on window resize and pixel ratio changes
      */
     resize() {
         const rect = this.container.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.viewWidth = rect.width;
+        this.viewHeight = rect.height;
+        this.canvas.width = Math.round(rect.width * this.pixelRatio);
+        this.canvas.height = Math.round(rect.height * this.pixelRatio);
         this.needsRedraw = true;
     }
 
@@ -88,8 +178,8 @@ export class GridRenderer {
      * Adjusts offset to position grid center in canvas center
      */
     centerView() {
-        const centerX = (this.canvas.width / 2) - (this.gridSize * this.squareSize * this.scale / 2);
-        const centerY = (this.canvas.height / 2) - (this.gridSize * this.squareSize * this.scale / 2);
+        const centerX = (this.viewWidth / 2) - (this.gridSize * this.squareSize * this.scale / 2);
+        const centerY = (this.viewHeight / 2) - (this.gridSize * this.squareSize * this.scale / 2);
         this.offsetX = centerX;
         this.offsetY = centerY;
         this.needsRedraw = true;
@@ -108,14 +198,236 @@ export class GridRenderer {
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
         
         // Touch events for mobile
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
-        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
+        this.canvas.addEventListener('touchcancel', () => this.handleTouchCancel());
+        
+        // Keyboard navigation
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.canvas.addEventListener('focus', () => this.handleFocus());
+        this.canvas.addEventListener('blur', () => {
+            this.hasFocus = false;
+            this.needsRedraw = true;
+        });
         
         // Context menu (right click)
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
     }
 
+    /**
+     * Places the keyboard cursor when the grid gains focus
+     * Starts on the hovered square, or the middle of the view; it is only drawn for keyboard focus
+     */
+    handleFocus() {
+        this.hasFocus = this.canvas.matches(':focus-visible');
+        if (!this.keyboardCursor) {
+            const viewport = this.getViewport();
+            const start = this.hoveredSquare || {
+                x: Math.floor(viewport.x + viewport.width / 2),
+                y: Math.floor(viewport.y + viewport.height / 2)
+            };
+            this.keyboardCursor = {
+                x: Math.max(0, Math.min(this.gridSize - 1, start.x)),
+                y: Math.max(0, Math.min(this.gridSize - 1, start.y))
+            };
+        }
+        if (this.hasFocus) {
+            this.hoveredSquare = this.keyboardCursor;
+            this.announce(this.describeSquare(this.keyboardCursor.x, this.keyboardCursor.y));
+            this.needsRedraw = true;
+        }
+    }
+
+    /**
+     * Handles keyboard navigation, selection and zoom while the grid has focus
+     * @param {KeyboardEvent} e - Keyboard event object
+     */
+    handleKeyDown(e) {
+        // Leave Ctrl/Cmd/Alt shortcuts (undo, browser keys) to the page
+        if (e.ctrlKey || e.metaKey || e.altKey || !this.keyboardCursor) return;
+        this.hasFocus = true; // Show the cursor even if focus came from a click
+
+        const moves = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.moveKeyboardCursor(moves[e.key][0], moves[e.key][1], e.shiftKey && !this.replay);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (this.replay) {
+                this.announce('Replay is view only. Exit the replay to select or paint.');
+                return;
+            }
+            this.activateKeyboardCursor();
+        } else if (e.key === '+' || e.key === '=') {
+            e.preventDefault();
+            this.zoomAtSquare(this.keyboardCursor, 1.5);
+        } else if (e.key === '-' || e.key === '_') {
+            e.preventDefault();
+            this.zoomAtSquare(this.keyboardCursor, 1 / 1.5);
+        } else if (e.key === 'Escape') {
+            this.keyboardAnchor = null;
+            this.clearSelection();
+            this.announce('Selection cleared.');
+        }
+    }
+
+    /**
+     * Moves the keyboard cursor, optionally extending a rectangular selection from where Shift was first held
+     * @param {number} dx - Squares to move horizontally
+     * @param {number} dy - Squares to move vertically
+     * @param {boolean} extend - True to grow the selection to the new square
+     */
+    moveKeyboardCursor(dx, dy, extend) {
+        const cursor = {
+            x: Math.max(0, Math.min(this.gridSize - 1, this.keyboardCursor.x + dx)),
+            y: Math.max(0, Math.min(this.gridSize - 1, this.keyboardCursor.y + dy))
+        };
+
+        if (extend) {
+            if (!this.keyboardAnchor) {
+                this.keyboardAnchor = this.keyboardCursor;
+                this.selectionMode = 'add';
+                this.selectionBase = new Set(this.selectedSquares);
+            }
+            this.applySelectionShape(rectangleSquares(this.keyboardAnchor, cursor, true));
+        } else {
+            this.keyboardAnchor = null;
+        }
+
+        this.keyboardCursor = cursor;
+        this.hoveredSquare = cursor;
+        this.scrollToSquare(cursor.x, cursor.y);
+
+        let message = this.describeSquare(cursor.x, cursor.y);
+        if (extend) {
+            message += ` ${this.selectedSquares.size} squares selected.`;
+        }
+        this.announce(message);
+    }
+
+    /**
+     * Toggles the square under the keyboard cursor, or paints it in paint mode
+     */
+    activateKeyboardCursor() {
+        const { x, y } = this.keyboardCursor;
+        this.keyboardAnchor = null;
+
+        if (this.isPaintMode) {
+            if (this.isPaintable(x, y)) {
+                this.addToStroke([{ x, y }]);
+                this.commitStroke();
+                this.announce(`Painted square ${x}, ${y}.`);
+            } else {
+                this.announce('You can only paint your own squares.');
+            }
+            return;
+        }
+
+        if (!this.selectedSquares.has(`${x},${y}`) && !this.stateManager.isSquareAvailable(x, y)) {
+            this.announce(`Square ${x}, ${y} is not available.`);
+            return;
+        }
+        this.toggleSquareSelection(x, y);
+        const state = this.selectedSquares.has(`${x},${y}`) ? 'Selected' : 'Deselected';
+        this.announce(`${state} square ${x}, ${y}. ${this.selectedSquares.size} squares selected.`);
+    }
+
+    /**
+     * Describes a square for screen readers, from the same data as the info panel
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {string} Coordinates, lock status and ownership
+     */
+    describeSquare(x, y) {
+        const parts = [`Square ${x}, ${y}.`];
+        if (this.replay) {
+            parts.push(this.replay.getSquare(x, y) ? 'Claimed at this point of the replay.' : 'Available at this point of the replay.');
+            return parts.join(' ');
+        }
+        const square = this.stateManager.getSquare(x, y);
+
+        if (square) {
+            if (this.stateManager.isInGracePeriod(x, y)) {
+                const remaining = this.stateManager.getGraceRemaining(x, y);
+                parts.push(`Lock lapsed, grace period: ${this.stateManager.formatTimeRemaining(remaining)}.`);
+            } else {
+                const remaining = this.stateManager.getTimeRemaining(x, y);
+                parts.push(`Locked: ${this.stateManager.formatTimeRemaining(remaining)}.`);
+            }
+            if (this.stateManager.isOwnedSquare(x, y)) {
+                parts.push('Your square.');
+            }
+            if (this.stateManager.getSquareUrl(x, y)) {
+                parts.push('Has a link.');
+            }
+        } else if (this.stateManager.isSquareHeld(x, y)) {
+            parts.push('Held by another donor.');
+        } else {
+            parts.push('Available.');
+        }
+        if (this.selectedSquares.has(`${x},${y}`)) {
+            parts.push('Selected.');
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Reads a message out through the live region
+     * @param {string} message - Text for screen readers
+     */
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * Pans just enough to bring a square into view, with a small margin
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     */
+    scrollToSquare(x, y) {
+        const squareScreenSize = this.squareSize * this.scale;
+        const margin = squareScreenSize * 2;
+        const screenPos = this.gridToScreen(x, y);
+
+        if (screenPos.x < margin) {
+            this.offsetX += margin - screenPos.x;
+        } else if (screenPos.x + squareScreenSize > this.viewWidth - margin) {
+            this.offsetX -= screenPos.x + squareScreenSize - (this.viewWidth - margin);
+        }
+        if (screenPos.y < margin) {
+            this.offsetY += margin - screenPos.y;
+        } else if (screenPos.y + squareScreenSize > this.viewHeight - margin) {
+            this.offsetY -= screenPos.y + squareScreenSize - (this.viewHeight - margin);
+        }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Zooms in or out keeping a square at the same place on screen
+     * @param {{x: number, y: number}} square - Square to zoom around
+     * @param {number} factor - Scale multiplier (above 1 zooms in)
+     */
+    zoomAtSquare(square, factor) {
+        const newScale = Math.max(this.minScale, Math.min(this.maxScale, this.scale * factor));
+        if (newScale === this.scale) return;
+
+        const before = this.gridToScreen(square.x + 0.5, square.y + 0.5);
+        this.scale = newScale;
+        const after = this.gridToScreen(square.x + 0.5, square.y + 0.5);
+        this.offsetX += before.x - after.x;
+        this.offsetY += before.y - after.y;
+        this.needsRedraw = true;
+        this.announce(`Zoom ${(this.scale * 100).toFixed(0)}%`);
+    }
+
     /**
      * Converts screen (canvas) coordinates to grid coordinates
      * @param {number} screenX - X coordinate on canvas in pixels
@@ -128,6 +440,19 @@ export class GridRenderer {
         return { x: gridX, y: gridY };
     }
 
+    /**
+     * Converts screen (canvas) coordinates to fractional grid coordinates
+     * @param {number} screenX - X coordinate on canvas in pixels
+     * @param {number} screenY - Y coordinate on canvas in pixels
+     * @returns {{x: number, y: number}} Grid coordinates, not rounded to a square
+     */
+    screenToGridPoint(screenX, screenY) {
+        return {
+            x: (screenX - this.offsetX) / (this.squareSize * this.scale),
+            y: (screenY - this.offsetY) / (this.squareSize * this.scale)
+        };
+    }
+
     /**
      * Converts grid coordinates to screen (canvas) coordinates
      * @param {number} gridX - Grid X coordinate
@@ -155,6 +480,7 @@ export class GridRenderer {
      * @param {MouseEvent} e - Mouse event object
      */
     handleMouseDown(e) {
+        this.stopInertia();
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
@@ -162,22 +488,24 @@ export class GridRenderer {
         const gridCoord = this.screenToGrid(mouseX, mouseY);
         
         if (e.button === 0) { // Left click
-            if (this.isPaintMode && this.isValidGridCoord(gridCoord.x, gridCoord.y)) {
-                // Paint mode: start painting owned squares
-                const square = this.stateManager.getSquare(gridCoord.x, gridCoord.y);
-                if (square && this.stateManager.isOwnedSquare(gridCoord.x, gridCoord.y)) {
-                    this.isPainting = true;
-                    this.paintSquare(gridCoord.x, gridCoord.y);
-                }
-            } else if (e.shiftKey || e.ctrlKey) {
-                // Multi-select mode
-                this.isSelecting = true;
-                this.selectionStart = gridCoord;
+            if (this.replay) {
+                // Replays are view only: dragging always pans
+                this.isDragging = true;
+            } else if (this.isPaintMode && this.isValidGridCoord(gridCoord.x, gridCoord.y)) {
+                // Paint mode: apply the current tool to owned squares
+                this.startPaintTool(gridCoord);
+            } else if (e.ctrlKey || e.metaKey) {
+                // Ctrl/Cmd+Click opens the square's link on mouse up; dragging pans
+                this.isDragging = true;
+            } else if (e.shiftKey || e.altKey) {
+                // Add to (Shift) or subtract from (Alt) the selection
+                this.startSelection(gridCoord, mouseX, mouseY, e.altKey ? 'subtract' : 'add');
             } else if (this.isValidGridCoord(gridCoord.x, gridCoord.y)) {
                 // Single select or start drag-select
-                if (this.stateManager.isSquareAvailable(gridCoord.x, gridCoord.y)) {
-                    this.isSelecting = true;
-                    this.selectionStart = gridCoord;
+                if (this.selectionTool !== 'rectangle') {
+                    this.startSelection(gridCoord, mouseX, mouseY, 'replace');
+                } else if (this.stateManager.isSquareAvailable(gridCoord.x, gridCoord.y)) {
+                    this.startSelection(gridCoord, mouseX, mouseY, 'replace');
                     this.toggleSquareSelection(gridCoord.x, gridCoord.y);
                 } else {
                     // Start panning if clicking on locked square
@@ -207,14 +535,8 @@ export class GridRenderer {
         const mouseY = e.clientY - rect.top;
         
         if (this.isPainting) {
-            // Paint mode: paint owned squares as we drag
-            const gridCoord = this.screenToGrid(mouseX, mouseY);
-            if (this.isValidGridCoord(gridCoord.x, gridCoord.y)) {
-                const square = this.stateManager.getSquare(gridCoord.x, gridCoord.y);
-                if (square && this.stateManager.isOwnedSquare(gridCoord.x, gridCoord.y)) {
-                    this.paintSquare(gridCoord.x, gridCoord.y);
-                }
-            }
+            // Paint mode: extend the brush stroke or reshape the line/rectangle as we drag
+            this.continuePaintTool(this.screenToGrid(mouseX, mouseY));
         } else if (this.isDragging) {
             // Pan the view
             const dx = mouseX - this.lastMouseX;
@@ -224,10 +546,7 @@ export class GridRenderer {
             this.needsRedraw = true;
         } else if (this.isSelecting && this.selectionStart) {
             // Drag selection
-            const currentCoord = this.screenToGrid(mouseX, mouseY);
-            if (this.isValidGridCoord(currentCoord.x, currentCoord.y)) {
-                this.updateDragSelection(this.selectionStart, currentCoord);
-            }
+            this.continueSelection(mouseX, mouseY);
         } else {
             // Update hover state
             const gridCoord = this.screenToGrid(mouseX, mouseY);
@@ -264,7 +583,7 @@ export class GridRenderer {
             Math.pow(mouseY - this.dragStartY, 2)
         );
         
-        if (dragDistance < 5 && (e.ctrlKey || e.metaKey)) {
+        if (dragDistance < 5 && (e.ctrlKey || e.metaKey) && !this.replay) {
             const gridCoord = this.screenToGrid(mouseX, mouseY);
             if (this.isValidGridCoord(gridCoord.x, gridCoord.y)) {
                 const square = this.stateManager.getSquare(gridCoord.x, gridCoord.y);
@@ -278,9 +597,8 @@ export class GridRenderer {
         }
         
         this.isDragging = false;
-        this.isSelecting = false;
-        this.isPainting = false;
-        this.selectionStart = null;
+        this.endSelection();
+        this.endPaintStroke();
     }
 
     /**
@@ -289,9 +607,9 @@ export class GridRenderer {
      */
     handleMouseLeave(e) {
         this.isDragging = false;
-        this.isSelecting = false;
+        this.endSelection();
+        this.endPaintStroke();
         this.hoveredSquare = null;
-        this.selectionStart = null;
         this.needsRedraw = true;
     }
 
@@ -322,21 +640,79 @@ export class GridRenderer {
         }
     }
 
+    /**
+     * Converts a touch to canvas coordinates
+     * @param {Touch} touch - Touch point
+     * @returns {{x: number, y: number}} Position on canvas in pixels
+     */
+    getTouchPoint(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: touch.clientX - rect.left, y: touch.clientY - rect.top };
+    }
+
+    /**
+     * Measures the center of and distance between the first two touches
+     * @param {TouchList} touches - Active touches
+     * @returns {{x: number, y: number, distance: number}} Gesture center on canvas and finger spread in pixels
+     */
+    getPinch(touches) {
+        const a = this.getTouchPoint(touches[0]);
+        const b = this.getTouchPoint(touches[1]);
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+        };
+    }
+
     /**
      * Handles touch start events for mobile support
+     * One finger waits to become a tap, a pan or (after a long press) a selection; two fingers pinch
      * @param {TouchEvent} e - Touch event object
      */
     handleTouchStart(e) {
-        if (e.touches.length === 1) {
-            const touch = e.touches[0];
-            this.handleMouseDown({
-                clientX: touch.clientX,
-                clientY: touch.clientY,
-                button: 0,
-                shiftKey: false,
-                ctrlKey: false
-            });
+        // Keep the browser from scrolling and from emulating mouse events for this gesture
+        e.preventDefault();
+        this.stopInertia();
+
+        if (e.touches.length >= 2) {
+            // A second finger turns any gesture in progress into pinch/pan
+            this.cancelLongPress();
+            this.endSelection();
+            this.endPaintStroke();
+            this.touchMode = 'pinch';
+            this.lastPinch = this.getPinch(e.touches);
+            return;
+        }
+
+        const point = this.getTouchPoint(e.touches[0]);
+        this.touchStartPoint = point;
+        this.lastTouchPoint = point;
+        this.lastTouchTime = e.timeStamp;
+        this.panVelocity = { x: 0, y: 0 };
+
+        if (this.isPaintMode && !this.replay) {
+            // Painting follows the finger right away
+            this.touchMode = 'paint';
+            this.handleMouseDown({ clientX: e.touches[0].clientX, clientY: e.touches[0].clientY, button: 0 });
+            return;
         }
+
+        this.touchMode = 'pending';
+        if (this.replay) return; // No long-press selection while replaying
+
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            if (this.touchMode !== 'pending') return;
+
+            // Long press: drag to add to the selection with the current tool
+            this.touchMode = 'select';
+            const coord = this.screenToGrid(point.x, point.y);
+            this.startSelection(coord, point.x, point.y, 'add');
+            if (navigator.vibrate) {
+                navigator.vibrate(20);
+            }
+        }, LONG_PRESS_MS);
     }
 
     /**
@@ -345,13 +721,48 @@ export class GridRenderer {
      */
     handleTouchMove(e) {
         e.preventDefault();
-        if (e.touches.length === 1) {
-            const touch = e.touches[0];
-            this.handleMouseMove({
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
+
+        if (this.touchMode === 'pinch' && e.touches.length >= 2) {
+            // Zoom around the gesture center; moving the center pans
+            const pinch = this.getPinch(e.touches);
+            const anchor = this.screenToGridPoint(this.lastPinch.x, this.lastPinch.y);
+            this.scale = Math.max(this.minScale, Math.min(this.maxScale, this.scale * pinch.distance / this.lastPinch.distance));
+            this.offsetX = pinch.x - anchor.x * this.squareSize * this.scale;
+            this.offsetY = pinch.y - anchor.y * this.squareSize * this.scale;
+            this.lastPinch = pinch;
+            this.needsRedraw = true;
+            return;
         }
+
+        if (e.touches.length !== 1) return;
+        const point = this.getTouchPoint(e.touches[0]);
+
+        if (this.touchMode === 'pending' &&
+            Math.hypot(point.x - this.touchStartPoint.x, point.y - this.touchStartPoint.y) > TAP_SLOP) {
+            // Moved before the long press fired: this is a pan
+            this.cancelLongPress();
+            this.touchMode = 'pan';
+        }
+
+        if (this.touchMode === 'pan') {
+            const dx = point.x - this.lastTouchPoint.x;
+            const dy = point.y - this.lastTouchPoint.y;
+            this.offsetX += dx;
+            this.offsetY += dy;
+            this.needsRedraw = true;
+
+            // Smooth the velocity so the release speed reflects the last few moves
+            const elapsed = Math.max(1, e.timeStamp - this.lastTouchTime);
+            this.panVelocity = {
+                x: this.panVelocity.x * 0.2 + (dx / elapsed) * 0.8,
+                y: this.panVelocity.y * 0.2 + (dy / elapsed) * 0.8
+            };
+        } else if (this.touchMode === 'select' || this.touchMode === 'paint') {
+            this.handleMouseMove({ clientX: e.touches[0].clientX, clientY: e.touches[0].clientY });
+        }
+
+        this.lastTouchPoint = point;
+        this.lastTouchTime = e.timeStamp;
     }
 
     /**
@@ -359,7 +770,110 @@ export class GridRenderer {
      * @param {TouchEvent} e - Touch event object
      */
     handleTouchEnd(e) {
-        this.handleMouseUp(e);
+        e.preventDefault();
+        this.cancelLongPress();
+
+        if (this.touchMode === 'pinch') {
+            if (e.touches.length === 1) {
+                // Carry on panning with the remaining finger, from where it is now
+                this.touchMode = 'pan';
+                this.lastTouchPoint = this.getTouchPoint(e.touches[0]);
+                this.lastTouchTime = e.timeStamp;
+                this.panVelocity = { x: 0, y: 0 };
+            } else if (e.touches.length === 0) {
+                this.touchMode = null;
+            }
+            return;
+        }
+        if (e.touches.length > 0) return;
+
+        if (this.touchMode === 'pending') {
+            this.handleTap(this.touchStartPoint);
+        } else if (this.touchMode === 'pan') {
+            // Let the grid glide on if the finger was still moving when lifted
+            if (e.timeStamp - this.lastTouchTime < 100) {
+                this.startInertia(this.panVelocity);
+            }
+        } else {
+            this.endSelection();
+            this.endPaintStroke();
+        }
+        this.touchMode = null;
+    }
+
+    /**
+     * Resets touch state when the browser cancels a gesture
+     */
+    handleTouchCancel() {
+        this.cancelLongPress();
+        this.endSelection();
+        this.endPaintStroke();
+        this.touchMode = null;
+    }
+
+    /**
+     * Toggles the tapped square, or runs the magic wand, and shows its info
+     * @param {{x: number, y: number}} point - Tap position on canvas in pixels
+     */
+    handleTap(point) {
+        const coord = this.screenToGrid(point.x, point.y);
+        if (!this.isValidGridCoord(coord.x, coord.y)) return;
+
+        if (this.replay) {
+            // Replays are view only; the tap just shows the square
+        } else if (this.selectionTool === 'wand') {
+            this.startSelection(coord, point.x, point.y, 'add');
+        } else {
+            this.toggleSquareSelection(coord.x, coord.y);
+        }
+        // Touch has no hover, so a tap shows the square in the info panel
+        this.hoveredSquare = coord;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Cancels a pending long press
+     */
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Keeps panning after a touch release, slowing down until the grid stops
+     * @param {{x: number, y: number}} velocity - Release velocity in pixels per millisecond
+     */
+    startInertia(velocity) {
+        this.stopInertia();
+        if (Math.hypot(velocity.x, velocity.y) < MIN_INERTIA_SPEED) return;
+
+        let { x: vx, y: vy } = velocity;
+        let lastTime = performance.now();
+        const step = (now) => {
+            const elapsed = Math.min(50, now - lastTime);
+            lastTime = now;
+            this.offsetX += vx * elapsed;
+            this.offsetY += vy * elapsed;
+            this.needsRedraw = true;
+
+            const friction = Math.pow(INERTIA_FRICTION, elapsed / 16);
+            vx *= friction;
+            vy *= friction;
+            this.inertiaFrame = Math.hypot(vx, vy) < MIN_INERTIA_SPEED ? null : requestAnimationFrame(step);
+        };
+        this.inertiaFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Stops any inertia panning in progress
+     */
+    stopInertia() {
+        if (this.inertiaFrame) {
+            cancelAnimationFrame(this.inertiaFrame);
+            this.inertiaFrame = null;
+        }
     }
 
     /**
@@ -379,29 +893,140 @@ export class GridRenderer {
         this.needsRedraw = true;
     }
 
+    /**
+     * Selects the tool used for drag selection
+     * @param {string} tool - 'rectangle', 'ellipse', 'circle', 'lasso' or 'wand'
+     */
+    setSelectionTool(tool) {
+        this.endSelection();
+        this.selectionTool = tool;
+    }
+
+    /**
+     * Starts a selection with the current tool where the pointer went down
+     * @param {{x: number, y: number}} coord - Grid coordinates
+     * @param {number} screenX - Pointer X on canvas in pixels
+     * @param {number} screenY - Pointer Y on canvas in pixels
+     * @param {string} mode - 'replace', 'add' or 'subtract'
+     */
+    startSelection(coord, screenX, screenY, mode) {
+        this.selectionMode = mode;
+        this.selectionBase = mode === 'replace' ? new Set() : new Set(this.selectedSquares);
+
+        if (this.selectionTool === 'wand') {
+            // One click selects the whole connected area; there is nothing to drag
+            if (this.isValidGridCoord(coord.x, coord.y)) {
+                this.applySelectionShape(this.getWandSquares(coord));
+            }
+            return;
+        }
+
+        this.isSelecting = true;
+        this.selectionStart = coord;
+        if (this.selectionTool === 'lasso') {
+            this.lassoPoints = [this.screenToGridPoint(screenX, screenY)];
+        } else if (mode !== 'replace' && this.isValidGridCoord(coord.x, coord.y)) {
+            // A modifier click without a drag adds or removes just that square
+            this.applySelectionShape([coord]);
+        }
+    }
+
+    /**
+     * Extends the current selection drag to new pointer coordinates
+     * @param {number} screenX - Pointer X on canvas in pixels
+     * @param {number} screenY - Pointer Y on canvas in pixels
+     */
+    continueSelection(screenX, screenY) {
+        if (this.selectionTool === 'lasso') {
+            // The outline is filled in when the drag ends
+            this.lassoPoints.push(this.screenToGridPoint(screenX, screenY));
+            this.needsRedraw = true;
+            return;
+        }
+
+        const currentCoord = this.screenToGrid(screenX, screenY);
+        if (!this.isValidGridCoord(currentCoord.x, currentCoord.y)) return;
+
+        if (this.selectionTool === 'ellipse') {
+            this.applySelectionShape(ellipseSquares(this.selectionStart, currentCoord));
+        } else if (this.selectionTool === 'circle') {
+            // Keep the bounding box square, growing in the direction of the drag
+            const start = this.selectionStart;
+            const side = Math.max(Math.abs(currentCoord.x - start.x), Math.abs(currentCoord.y - start.y));
+            const end = {
+                x: start.x + (currentCoord.x < start.x ? -side : side),
+                y: start.y + (currentCoord.y < start.y ? -side : side)
+            };
+            this.applySelectionShape(ellipseSquares(start, end));
+        } else {
+            this.updateDragSelection(this.selectionStart, currentCoord);
+        }
+    }
+
+    /**
+     * Finishes the current selection drag, filling in a lasso outline
+     */
+    endSelection() {
+        if (this.isSelecting && this.selectionTool === 'lasso' && this.lassoPoints.length >= 3) {
+            this.applySelectionShape(polygonSquares(this.lassoPoints));
+        }
+        if (this.lassoPoints.length > 0) {
+            this.lassoPoints = [];
+            this.needsRedraw = true;
+        }
+        this.isSelecting = false;
+        this.selectionStart = null;
+    }
+
     /**
      * Updates selection based on drag area (rectangular selection)
      * @param {{x: number, y: number}} start - Starting grid coordinates
      * @param {{x: number, y: number}} end - Ending grid coordinates
      */
     updateDragSelection(start, end) {
-        // Clear previous selection
+        this.applySelectionShape(rectangleSquares(start, end, true));
+    }
+
+    /**
+     * Combines the selection from before the drag with a shape, using the current selection mode
+     * Only available squares are ever added
+     * @param {Array<{x: number, y: number}>} squares - Squares covered by the shape
+     */
+    applySelectionShape(squares) {
+        this.selectedSquares = new Set(this.selectionBase);
+        squares.forEach(({ x, y }) => {
+            const key = `${x},${y}`;
+            if (this.selectionMode === 'subtract') {
+                this.selectedSquares.delete(key);
+            } else if (this.isValidGridCoord(x, y) && this.stateManager.isSquareAvailable(x, y)) {
+                this.selectedSquares.add(key);
+            }
+        });
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Lists the available squares connected to a square, for the magic wand
+     * @param {{x: number, y: number}} coord - Square clicked
+     * @returns {Array<{x: number, y: number}>} Connected available squares, empty if the square is taken
+     */
+    getWandSquares(coord) {
+        return floodFillSquares(coord, (x, y) =>
+            this.isValidGridCoord(x, y) && this.stateManager.isSquareAvailable(x, y)
+        );
+    }
+
+    /**
+     * Replaces the selection with the given squares, skipping unavailable ones
+     * @param {Array<{x: number, y: number}>} squares - Squares to select
+     */
+    setSelection(squares) {
         this.selectedSquares.clear();
-        
-        // Select rectangle
-        const minX = Math.min(start.x, end.x);
-        const maxX = Math.max(start.x, end.x);
-        const minY = Math.min(start.y, end.y);
-        const maxY = Math.max(start.y, end.y);
-        
-        for (let x = minX; x <= maxX; x++) {
-            for (let y = minY; y <= maxY; y++) {
-                if (this.isValidGridCoord(x, y) && this.stateManager.isSquareAvailable(x, y)) {
-                    this.selectedSquares.add(`${x},${y}`);
-                }
+        squares.forEach(({ x, y }) => {
+            if (this.isValidGridCoord(x, y) && this.stateManager.isSquareAvailable(x, y)) {
+                this.selectedSquares.add(`${x},${y}`);
             }
-        }
-        
+        });
         this.needsRedraw = true;
     }
 
@@ -434,19 +1059,22 @@ export class GridRenderer {
                 this.render();
                 this.needsRedraw = false;
             }
-            requestAnimationFrame(render);
+            this.animationFrame = requestAnimationFrame(render);
         };
         render();
     }
 
     /**
      * Main render function that draws the grid to canvas
-     * Implements viewport culling for performance
+     * Squares come from a cached bitmap; badges, selection and hover are drawn on top
      */
     render() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.viewWidth;
+        const height = this.viewHeight;
+        
+        // Draw in CSS pixels; the transform maps them onto the device-pixel backing store
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
         
         // Clear canvas
         ctx.fillStyle = '#f0f0f0';
@@ -460,79 +1088,262 @@ export class GridRenderer {
         
         const squareScreenSize = this.squareSize * this.scale;
         
-        // Draw grid squares
-        for (let x = startX; x < endX; x++) {
-            for (let y = startY; y < endY; y++) {
+        // Draw the visible part of the cached bitmap, scaled up without smoothing
+        const bitmap = this.bitmap.flush();
+        if (startX < endX && startY < endY) {
+            const origin = this.gridToScreen(startX, startY);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(
+                bitmap,
+                startX, startY, endX - startX, endY - startY,
+                origin.x, origin.y, (endX - startX) * squareScreenSize, (endY - startY) * squareScreenSize
+            );
+        }
+        
+        // Draw hold hatching and ownership badges (only when zoomed in enough, and not for past states)
+        if (squareScreenSize > 8 && !this.replay) {
+            for (let x = startX; x < endX; x++) {
+                for (let y = startY; y < endY; y++) {
+                    const square = this.stateManager.getSquare(x, y);
+                    const screenPos = this.gridToScreen(x, y);
+                    
+                    // Draw hold hatching (diagonal stripe)
+                    if (!square && this.stateManager.isSquareHeld(x, y)) {
+                        ctx.strokeStyle = '#7373A8';
+                        ctx.lineWidth = 1;
+                        ctx.beginPath();
+                        ctx.moveTo(screenPos.x, screenPos.y + squareScreenSize);
+                        ctx.lineTo(screenPos.x + squareScreenSize, screenPos.y);
+                        ctx.stroke();
+                    }
+                    
+                    // Draw ownership indicator (corner badge)
+                    if (square && this.stateManager.isOwnedSquare(x, y)) {
+                        const badgeSize = Math.max(3, squareScreenSize * 0.25);
+                        ctx.fillStyle = '#FFD700'; // Gold color for owned
+                        ctx.beginPath();
+                        ctx.moveTo(screenPos.x + squareScreenSize, screenPos.y);
+                        ctx.lineTo(screenPos.x + squareScreenSize - badgeSize, screenPos.y);
+                        ctx.lineTo(screenPos.x + squareScreenSize, screenPos.y + badgeSize);
+                        ctx.closePath();
+                        ctx.fill();
+                    }
+                }
+            }
+        }
+        
+        // Draw the image import preview and the paint stroke being dragged, before they are committed
+        if (!this.replay) {
+            [this.previewSquares, this.pendingStroke].forEach(squares => {
+                squares.forEach(({ x, y, color }) => {
+                    if (x < startX || x >= endX || y < startY || y >= endY) return;
+                    const screenPos = this.gridToScreen(x, y);
+                    ctx.fillStyle = color;
+                    ctx.fillRect(screenPos.x, screenPos.y, squareScreenSize, squareScreenSize);
+                });
+            });
+        }
+        
+        // Draw grid lines as one path per frame (only when zoomed in enough)
+        if (squareScreenSize > 5 && startX < endX && startY < endY) {
+            const top = this.gridToScreen(startX, startY);
+            const bottom = this.gridToScreen(endX, endY);
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.lineWidth = 0.5;
+            ctx.beginPath();
+            for (let x = startX; x <= endX; x++) {
+                const screenX = this.gridToScreen(x, 0).x;
+                ctx.moveTo(screenX, top.y);
+                ctx.lineTo(screenX, bottom.y);
+            }
+            for (let y = startY; y <= endY; y++) {
+                const screenY = this.gridToScreen(0, y).y;
+                ctx.moveTo(top.x, screenY);
+                ctx.lineTo(bottom.x, screenY);
+            }
+            ctx.stroke();
+        }
+        
+        // Draw selection highlights; a replay hides the selection and keeps it for afterwards
+        if (!this.replay) {
+            ctx.strokeStyle = '#4CAF50';
+            ctx.lineWidth = Math.max(2, squareScreenSize * 0.1);
+            this.selectedSquares.forEach(key => {
+                const [x, y] = key.split(',').map(Number);
+                if (x < startX || x >= endX || y < startY || y >= endY) return;
                 const screenPos = this.gridToScreen(x, y);
-                const square = this.stateManager.getSquare(x, y);
-                const key = `${x},${y}`;
-                const isSelected = this.selectedSquares.has(key);
-                const isHovered = this.hoveredSquare && this.hoveredSquare.x === x && this.hoveredSquare.y === y;
-                const isOwned = square && this.stateManager.isOwnedSquare(x, y);
-                
-                // Determine square color
-                let fillColor = '#f5f5f5'; // Default: available (light gray for better contrast)
-                if (square) {
-                    fillColor = square.color;
+                ctx.strokeRect(screenPos.x, screenPos.y, squareScreenSize, squareScreenSize);
+            });
+        }
+        
+        // Outline the highlighted section along its outer edges only
+        if (this.highlightedSquares.size > 0 && !this.replay) {
+            ctx.strokeStyle = '#1C1A3C';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            this.highlightedSquares.forEach(key => {
+                const [x, y] = key.split(',').map(Number);
+                if (x < startX - 1 || x > endX || y < startY - 1 || y > endY) return;
+                const topLeft = this.gridToScreen(x, y);
+                const right = topLeft.x + squareScreenSize;
+                const bottom = topLeft.y + squareScreenSize;
+                if (!this.highlightedSquares.has(`${x},${y - 1}`)) {
+                    ctx.moveTo(topLeft.x, topLeft.y);
+                    ctx.lineTo(right, topLeft.y);
                 }
-                
-                // Draw square
-                ctx.fillStyle = fillColor;
-                ctx.fillRect(screenPos.x, screenPos.y, squareScreenSize, squareScreenSize);
-                
-                // Draw ownership indicator (corner badge)
-                if (isOwned && squareScreenSize > 8) {
-                    const badgeSize = Math.max(3, squareScreenSize * 0.25);
-                    ctx.fillStyle = '#FFD700'; // Gold color for owned
-                    ctx.beginPath();
-                    ctx.moveTo(screenPos.x + squareScreenSize, screenPos.y);
-                    ctx.lineTo(screenPos.x + squareScreenSize - badgeSize, screenPos.y);
-                    ctx.lineTo(screenPos.x + squareScreenSize, screenPos.y + badgeSize);
-                    ctx.closePath();
-                    ctx.fill();
+                if (!this.highlightedSquares.has(`${x},${y + 1}`)) {
+                    ctx.moveTo(topLeft.x, bottom);
+                    ctx.lineTo(right, bottom);
                 }
-                
-                // Draw selection highlight
-                if (isSelected) {
-                    ctx.strokeStyle = '#4CAF50';
-                    ctx.lineWidth = Math.max(2, squareScreenSize * 0.1);
-                    ctx.strokeRect(screenPos.x, screenPos.y, squareScreenSize, squareScreenSize);
+                if (!this.highlightedSquares.has(`${x - 1},${y}`)) {
+                    ctx.moveTo(topLeft.x, topLeft.y);
+                    ctx.lineTo(topLeft.x, bottom);
                 }
-                
-                // Draw hover highlight (inset to avoid affecting adjacent squares)
-                if (isHovered) {
-                    ctx.strokeStyle = isOwned ? '#FFD700' : (square ? '#ff9800' : '#2196F3');
-                    const lineWidth = Math.max(2, squareScreenSize * 0.1);
-                    ctx.lineWidth = lineWidth;
-                    const inset = lineWidth / 2;
-                    ctx.strokeRect(
-                        screenPos.x + inset, 
-                        screenPos.y + inset, 
-                        squareScreenSize - lineWidth, 
-                        squareScreenSize - lineWidth
-                    );
+                if (!this.highlightedSquares.has(`${x + 1},${y}`)) {
+                    ctx.moveTo(right, topLeft.y);
+                    ctx.lineTo(right, bottom);
                 }
-                
-                // Draw grid lines (only when zoomed in enough)
-                if (squareScreenSize > 5) {
-                    ctx.strokeStyle = '#e0e0e0';
-                    ctx.lineWidth = 0.5;
-                    ctx.strokeRect(screenPos.x, screenPos.y, squareScreenSize, squareScreenSize);
+            });
+            ctx.stroke();
+        }
+        
+        // Draw the lasso outline being dragged
+        if (this.lassoPoints.length > 1) {
+            ctx.strokeStyle = '#4CAF50';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            this.lassoPoints.forEach(({ x, y }, i) => {
+                const screenPos = this.gridToScreen(x, y);
+                if (i === 0) {
+                    ctx.moveTo(screenPos.x, screenPos.y);
+                } else {
+                    ctx.lineTo(screenPos.x, screenPos.y);
                 }
-            }
+            });
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        // Draw hover highlight (inset to avoid affecting adjacent squares)
+        if (this.hoveredSquare) {
+            const { x, y } = this.hoveredSquare;
+            const square = (this.replay || this.stateManager).getSquare(x, y);
+            const isOwned = square && !this.replay && this.stateManager.isOwnedSquare(x, y);
+            const screenPos = this.gridToScreen(x, y);
+            ctx.strokeStyle = isOwned ? '#FFD700' : (square ? '#ff9800' : '#2196F3');
+            const lineWidth = Math.max(2, squareScreenSize * 0.1);
+            ctx.lineWidth = lineWidth;
+            const inset = lineWidth / 2;
+            ctx.strokeRect(
+                screenPos.x + inset, 
+                screenPos.y + inset, 
+                squareScreenSize - lineWidth, 
+                squareScreenSize - lineWidth
+            );
+        }
+        
+        // Draw the keyboard cursor with a two-tone outline that shows on any color
+        if (this.hasFocus && this.keyboardCursor) {
+            const screenPos = this.gridToScreen(this.keyboardCursor.x, this.keyboardCursor.y);
+            const size = Math.max(squareScreenSize, 6);
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#1C1A3C';
+            ctx.strokeRect(screenPos.x - 2, screenPos.y - 2, size + 4, size + 4);
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = '#ffffff';
+            ctx.strokeRect(screenPos.x - 2, screenPos.y - 2, size + 4, size + 4);
         }
         
         // Draw UI overlay
         this.drawUI();
+        
+        this.viewportListeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Registers a callback run after each frame, when the viewport or the squares may have changed
+     * @param {Function} callback - Receives this renderer
+     */
+    addViewportListener(callback) {
+        this.viewportListeners.push(callback);
+    }
+
+    /**
+     * Unregisters a previously registered viewport listener
+     * @param {Function} callback - Callback function to remove
+     */
+    removeViewportListener(callback) {
+        this.viewportListeners = this.viewportListeners.filter(cb => cb !== callback);
+    }
+
+    /**
+     * Returns the part of the grid currently on screen
+     * @returns {{x: number, y: number, width: number, height: number}} Visible area in fractional grid coordinates
+     */
+    getViewport() {
+        const squareScreenSize = this.squareSize * this.scale;
+        return {
+            x: -this.offsetX / squareScreenSize,
+            y: -this.offsetY / squareScreenSize,
+            width: this.viewWidth / squareScreenSize,
+            height: this.viewHeight / squareScreenSize
+        };
+    }
+
+    /**
+     * Zooms and centers the view on a block of squares, with some padding around it
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Bounding box from StateManager.getSquaresBounds()
+     */
+    zoomToBounds(bounds) {
+        const centerGridX = (bounds.minX + bounds.maxX + 1) / 2;
+        const centerGridY = (bounds.minY + bounds.maxY + 1) / 2;
+        const maxDimension = Math.max(bounds.maxX - bounds.minX + 1, bounds.maxY - bounds.minY + 1);
+        
+        // Zoom to fit all squares with padding
+        const padding = 5;
+        const scaleX = this.viewWidth / ((maxDimension + padding * 2) * this.squareSize);
+        const scaleY = this.viewHeight / ((maxDimension + padding * 2) * this.squareSize);
+        const targetScale = Math.min(scaleX, scaleY, 4.0); // Cap at 4x
+        
+        this.scale = Math.max(0.5, targetScale);
+        this.centerOn(centerGridX, centerGridY);
+    }
+
+    /**
+     * Outlines a section, e.g. the one a shared link points at
+     * @param {Array<{x: number, y: number}>} squares - Squares to outline; empty to clear
+     */
+    setHighlightedSquares(squares) {
+        this.highlightedSquares = new Set(squares.map(({ x, y }) => `${x},${y}`));
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Moves the view so a grid point is in the middle of the canvas, keeping the zoom
+     * @param {number} gridX - Grid X coordinate (may be fractional)
+     * @param {number} gridY - Grid Y coordinate (may be fractional)
+     */
+    centerOn(gridX, gridY) {
+        this.stopInertia();
+        this.offsetX = this.viewWidth / 2 - gridX * this.squareSize * this.scale;
+        this.offsetY = this.viewHeight / 2 - gridY * this.squareSize * this.scale;
+        this.needsRedraw = true;
     }
 
     /**
      * Draws UI overlay with info panel showing zoom level, selection, and hovered square
      */
     drawUI() {
+        if (this.replay) {
+            this.drawReplayUI();
+            return;
+        }
+
         const ctx = this.ctx;
         
-        const ownedCount = this.stateManager.getOwnedSquares().length;
+        const ownedCount = this.stateManager.getOwnedCount();
         
         // Calculate info height dynamically
         let infoLines = ownedCount > 0 ? 3 : 2;
@@ -547,6 +1358,7 @@ export class GridRenderer {
                 if (url) infoLines++;
             } else {
                 infoLines++; // Available status
+                if (this.stateManager.getSquareHistory(this.hoveredSquare.x, this.hoveredSquare.y).length > 0) infoLines++;
             }
         }
         const infoHeight = 50 + (infoLines * 20);
@@ -577,7 +1389,10 @@ export class GridRenderer {
             const yOffset = ownedCount > 0 ? 90 : 70;
             ctx.fillText(`Square: (${x}, ${y})`, 20, yOffset);
             
-            if (square) {
+            if (square && this.stateManager.isInGracePeriod(x, y)) {
+                const remaining = this.stateManager.getGraceRemaining(x, y);
+                ctx.fillText(`Lock lapsed, grace period: ${this.stateManager.formatTimeRemaining(remaining)}`, 20, yOffset + 20);
+            } else if (square) {
                 const remaining = this.stateManager.getTimeRemaining(x, y);
                 ctx.fillText(`Locked: ${this.stateManager.formatTimeRemaining(remaining)}`, 20, yOffset + 20);
                 
@@ -593,12 +1408,70 @@ export class GridRenderer {
                     ctx.fillStyle = '#4CAF50';
                     ctx.fillText(`🔗 Ctrl+Click to visit link`, 20, nextOffset);
                 }
+            } else if (this.stateManager.isSquareHeld(x, y)) {
+                ctx.fillText(`Status: Held by another donor`, 20, yOffset + 20);
             } else {
                 ctx.fillText(`Status: Available`, 20, yOffset + 20);
+                const history = this.stateManager.getSquareHistory(x, y);
+                if (history.length > 0) {
+                    const last = history[history.length - 1];
+                    ctx.fillStyle = '#CACAD7';
+                    ctx.fillText(`Past owners: ${history.length} (until ${new Date(last.expiredAt).toLocaleDateString()})`, 20, yOffset + 40);
+                }
             }
         }
     }
 
+    /**
+     * Draws the info panel for a replay: the moment shown and the hovered square's state at that moment
+     */
+    drawReplayUI() {
+        const ctx = this.ctx;
+        const infoHeight = 50 + ((this.hoveredSquare ? 4 : 2) * 20);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(10, 10, 280, infoHeight);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px Arial';
+        ctx.fillText(`Zoom: ${(this.scale * 100).toFixed(0)}%`, 20, 30);
+        ctx.fillStyle = '#CACAD7';
+        ctx.fillText(`Replay: ${this.replay.getSquareCount()} squares claimed`, 20, 50);
+
+        if (this.hoveredSquare) {
+            const { x, y } = this.hoveredSquare;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`Square: (${x}, ${y})`, 20, 70);
+            ctx.fillText(`Status: ${this.replay.getSquare(x, y) ? 'Claimed' : 'Available'}`, 20, 90);
+        }
+    }
+
+    /**
+     * Shows a past state of the grid instead of the live one
+     * Selection, paint and ownership details are hidden until stopReplay(); only panning and zooming work
+     * @param {ReplayState} replayState - Replayed grid to draw
+     */
+    startReplay(replayState) {
+        this.stopReplay();
+        this.endSelection();
+        this.endPaintStroke();
+        this.replay = replayState;
+        this.bitmap = new GridBitmap(this.gridSize, replayState);
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Returns to the live grid after a replay
+     */
+    stopReplay() {
+        if (!this.replay) return;
+
+        this.bitmap.destroy();
+        this.bitmap = this.liveBitmap;
+        this.replay = null;
+        this.needsRedraw = true;
+    }
+
     /**
      * Flags the renderer to redraw on next frame
      */
@@ -612,7 +1485,7 @@ export class GridRenderer {
      */
     setPaintMode(enabled) {
         this.isPaintMode = enabled;
-        this.isPainting = false;
+        this.endPaintStroke();
         
         // Update cursor
         if (enabled) {
@@ -651,32 +1524,217 @@ export class GridRenderer {
     }
 
     /**
-     * Paints or erases a square (resets to original color if in erase mode)
+     * Selects the paint tool used in paint mode
+     * @param {string} tool - 'brush', 'line', 'rectangle', 'filled-rectangle', 'fill' or 'eyedropper'
+     */
+    setPaintTool(tool) {
+        this.endPaintStroke();
+        this.paintTool = tool;
+        if (this.isPaintMode && !this.isEraseMode) {
+            this.canvas.style.cursor = tool === 'eyedropper' ? 'copy' : 'crosshair';
+        }
+    }
+
+    /**
+     * Applies the current paint tool where the pointer went down
+     * @param {{x: number, y: number}} coord - Grid coordinates
+     */
+    startPaintTool(coord) {
+        switch (this.paintTool) {
+            case 'eyedropper':
+                this.pickColor(coord.x, coord.y);
+                break;
+            case 'fill':
+                this.addToStroke(this.getFillSquares(coord));
+                this.commitStroke();
+                break;
+            case 'brush':
+                if (this.isPaintable(coord.x, coord.y)) {
+                    this.isPainting = true;
+                    this.lastPaintCoord = coord;
+                    this.addToStroke([coord]);
+                }
+                break;
+            default:
+                // Lines and rectangles may start outside the owned area; only owned squares get painted
+                this.isPainting = true;
+                this.toolStart = coord;
+                this.updateShapeStroke(coord);
+        }
+    }
+
+    /**
+     * Extends the current paint drag to new pointer coordinates
+     * @param {{x: number, y: number}} coord - Grid coordinates (may be off the grid)
+     */
+    continuePaintTool(coord) {
+        if (this.paintTool === 'brush') {
+            // Fill in squares skipped by fast pointer moves
+            this.addToStroke(lineSquares(this.lastPaintCoord, coord));
+            this.lastPaintCoord = coord;
+        } else {
+            this.updateShapeStroke(coord);
+        }
+    }
+
+    /**
+     * Replaces the previewed stroke with the current line or rectangle
+     * @param {{x: number, y: number}} end - Square under the pointer
+     */
+    updateShapeStroke(end) {
+        this.pendingStroke.clear();
+        if (this.paintTool === 'line') {
+            this.addToStroke(lineSquares(this.toolStart, end));
+        } else {
+            this.addToStroke(rectangleSquares(this.toolStart, end, this.paintTool === 'filled-rectangle'));
+        }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Checks if a square can be painted (on the grid and owned by the current user)
      * @param {number} x - Grid X coordinate
      * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if the square can be painted
      */
-    paintSquare(x, y) {
-        if (this.isEraseMode) {
-            // Erase mode: restore to original purchase color
-            const originalColor = this.stateManager.getOriginalColor(x, y);
-            const success = this.stateManager.updateSquareColor(x, y, originalColor);
-            if (success) {
-                this.needsRedraw = true;
-            }
-        } else {
-            // Paint mode: update color
-            const success = this.stateManager.updateSquareColor(x, y, this.paintColor);
-            if (success) {
-                this.needsRedraw = true;
+    isPaintable(x, y) {
+        return this.isValidGridCoord(x, y) && !!this.stateManager.getSquare(x, y) && this.stateManager.isOwnedSquare(x, y);
+    }
+
+    /**
+     * Adds paintable squares to the previewed stroke
+     * Erase mode uses each square's original purchase color
+     * @param {Array<{x: number, y: number}>} squares - Squares covered by the tool
+     */
+    addToStroke(squares) {
+        squares.forEach(({ x, y }) => {
+            if (!this.isPaintable(x, y)) return;
+            const color = this.isEraseMode ? this.stateManager.getOriginalColor(x, y) : this.paintColor;
+            this.pendingStroke.set(`${x},${y}`, { x, y, color });
+        });
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Commits the paint stroke being dragged
+     */
+    commitStroke() {
+        const squares = Array.from(this.pendingStroke.values());
+        this.pendingStroke.clear();
+        this.toolStart = null;
+        this.lastPaintCoord = null;
+        this.writeStroke(squares);
+    }
+
+    /**
+     * Shows proposed square colors over the grid without changing them
+     * @param {Array<{x: number, y: number, color: string}>} squares - Proposed colors; unpaintable squares are skipped
+     */
+    setPreviewSquares(squares) {
+        this.previewSquares.clear();
+        squares.forEach(({ x, y, color }) => {
+            if (this.isPaintable(x, y)) {
+                this.previewSquares.set(`${x},${y}`, { x, y, color });
             }
+        });
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Removes the preview without applying it
+     */
+    clearPreviewSquares() {
+        this.previewSquares.clear();
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Applies the previewed colors as one undoable stroke
+     * @returns {number} Number of squares changed
+     */
+    commitPreviewSquares() {
+        // The preview may have been open while squares expired or were cleared elsewhere
+        const squares = Array.from(this.previewSquares.values()).filter(({ x, y }) => this.isPaintable(x, y));
+        this.previewSquares.clear();
+        return this.writeStroke(squares);
+    }
+
+    /**
+     * Writes square colors as one batched update and one undoable history entry
+     * Squares that expired or changed hands since they were added to the stroke are skipped
+     * @param {Array<{x: number, y: number, color: string}>} stroke - Squares with their new colors
+     * @returns {number} Number of squares changed
+     */
+    writeStroke(stroke) {
+        this.needsRedraw = true;
+        const squares = stroke.filter(({ x, y }) => this.isPaintable(x, y));
+        if (squares.length === 0) return 0;
+
+        const previousColors = new Map(squares.map(({ x, y }) => [`${x},${y}`, this.stateManager.getSquare(x, y).color]));
+        const updated = this.stateManager.updateSquareColors(squares);
+
+        if (this.paintHistory && updated.length > 0) {
+            this.paintHistory.beginStroke();
+            updated.forEach(({ x, y, color }) => {
+                this.paintHistory.record(x, y, previousColors.get(`${x},${y}`), color);
+            });
+            this.paintHistory.endStroke();
+        }
+        return updated.length;
+    }
+
+    /**
+     * Finds the owned squares connected to a square that share its color
+     * @param {{x: number, y: number}} coord - Square to fill from
+     * @returns {Array<{x: number, y: number}>} Squares to fill, empty if the square is not owned
+     */
+    getFillSquares(coord) {
+        if (!this.isPaintable(coord.x, coord.y)) return [];
+
+        const targetColor = this.stateManager.getSquare(coord.x, coord.y).color;
+        return floodFillSquares(coord, (x, y) =>
+            this.isPaintable(x, y) && this.stateManager.getSquare(x, y).color === targetColor
+        );
+    }
+
+    /**
+     * Samples a square's color into the paint color (eyedropper)
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     */
+    pickColor(x, y) {
+        const square = this.stateManager.getSquare(x, y);
+        if (!square) return;
+
+        this.paintColor = square.color;
+        if (this.onColorPicked) {
+            this.onColorPicked(square.color);
         }
     }
 
     /**
-     * Cleans up and removes the canvas element
+     * Ends the current paint drag, committing its stroke
+     */
+    endPaintStroke() {
+        if (this.isPainting) {
+            this.commitStroke();
+        }
+        this.isPainting = false;
+    }
+
+    /**
+     * Stops rendering, removes window listeners and the canvas element
      */
     destroy() {
+        cancelAnimationFrame(this.animationFrame);
+        this.stopInertia();
+        this.cancelLongPress();
+        window.removeEventListener('resize', this.handleResize);
+        this.stopWatchingPixelRatio();
+        this.stopReplay();
+        this.bitmap.destroy();
         this.canvas.remove();
+        this.liveRegion.remove();
     }
 }
 
@@ -0,0 +1,298 @@
+/**
+ * Grid Replay - Rebuilds past states of the grid from the event log and plays them back as a time-lapse
+ */
+
+const REPLAY_DURATION = 60 * 1000; // Whole history at 1× speed, in milliseconds
+const SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Stand-in for StateManager that holds the grid as it was at one moment
+ * Only reads the event log, so live state is never touched
+ */
+export class ReplayState {
+    /**
+     * Creates a new ReplayState positioned before the first event
+     * @param {Array<{time: number, type: string, squares: Array<Object>}>} events - Event log, oldest first (see StateManager.getEvents)
+     */
+    constructor(events) {
+        this.events = events;
+        this.squares = new Map(); // "x,y" -> { x, y, color }
+        this.index = 0; // Next event to apply
+        this.time = -Infinity;
+        this.gracePeriod = 0; // Past states are drawn without grace fading
+        this.listeners = [];
+    }
+
+    /**
+     * Gets the time of the first recorded event
+     * @returns {number} Timestamp in milliseconds (0 if the log is empty)
+     */
+    get startTime() {
+        return this.events.length > 0 ? this.events[0].time : 0;
+    }
+
+    /**
+     * Gets the time of the last recorded event
+     * @returns {number} Timestamp in milliseconds (0 if the log is empty)
+     */
+    get endTime() {
+        return this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+    }
+
+    /**
+     * Moves the replayed grid to a moment, applying every event up to and including it
+     * Moving forward applies only the new events; moving back rebuilds from the start
+     * @param {number} time - Timestamp in milliseconds
+     */
+    seek(time) {
+        let fullRefresh = false;
+        if (time < this.time) {
+            this.squares.clear();
+            this.index = 0;
+            fullRefresh = true;
+        }
+
+        const changed = [];
+        while (this.index < this.events.length && this.events[this.index].time <= time) {
+            const event = this.events[this.index++];
+            if (event.type === 'clear' || event.type === 'snapshot') {
+                this.squares.clear();
+                fullRefresh = true;
+            }
+            event.squares.forEach(({ x, y, color }) => {
+                const key = `${x},${y}`;
+                if (event.type === 'remove' || event.type === 'expire') {
+                    this.squares.delete(key);
+                } else {
+                    this.squares.set(key, { x, y, color });
+                }
+                changed.push({ x, y });
+            });
+        }
+        this.time = time;
+
+        if (fullRefresh) {
+            this.notifyListeners({ fullRefresh: true });
+        } else if (changed.length > 0) {
+            this.notifyListeners({ multiple: true, squares: changed });
+        }
+    }
+
+    /**
+     * Gets a square as it was at the current replay time
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Object|null} Square data with color, or null if it was available
+     */
+    getSquare(x, y) {
+        return this.squares.get(`${x},${y}`) || null;
+    }
+
+    /**
+     * Counts the squares claimed at the current replay time
+     * @returns {number} Number of squares on the grid
+     */
+    getSquareCount() {
+        return this.squares.size;
+    }
+
+    /**
+     * Checkout holds are not recorded, so no square is ever held in a replay
+     * @returns {boolean} Always false
+     */
+    isSquareHeld() {
+        return false;
+    }
+
+    /**
+     * Grace periods are not replayed, so no square is ever in one
+     * @returns {boolean} Always false
+     */
+    isInGracePeriod() {
+        return false;
+    }
+
+    /**
+     * Registers a callback to be notified when the replayed grid changes
+     * @param {Function} callback - Receives change data shaped like StateManager's
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Unregisters a previously registered change listener
+     * @param {Function} callback - Callback function to remove
+     */
+    removeListener(callback) {
+        this.listeners = this.listeners.filter(cb => cb !== callback);
+    }
+
+    /**
+     * Notifies all registered listeners of a change
+     * @param {Object} changeData - Information about what changed
+     */
+    notifyListeners(changeData) {
+        this.listeners.forEach(callback => callback(changeData));
+    }
+}
+
+/**
+ * Timeline scrubber, play/pause and speed controls for replaying the grid's history
+ */
+export class ReplayControls {
+    /**
+     * Creates the replay controls for one grid
+     * @param {HTMLElement} container - Grid wrapper the panel is shown in
+     * @param {GridRenderer} gridRenderer - Renderer switched to the replayed grid
+     * @param {StateManager} stateManager - Source of the event log
+     */
+    constructor(container, gridRenderer, stateManager) {
+        this.container = container;
+        this.gridRenderer = gridRenderer;
+        this.stateManager = stateManager;
+        this.replay = null;
+        this.panel = null;
+        this.speed = SPEEDS[0];
+        this.playing = false;
+        this.animationFrame = null;
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Checks if a replay is being shown
+     * @returns {boolean} True while replaying
+     */
+    isActive() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Switches the grid to replay mode at the first recorded moment
+     * The replay covers the history recorded up to now; later changes show once it is reopened
+     * @returns {boolean} False if there is no history to replay yet
+     */
+    show() {
+        this.hide();
+
+        const events = this.stateManager.getEvents();
+        if (events.length === 0) {
+            return false;
+        }
+
+        this.replay = new ReplayState(events);
+        this.panel = document.createElement('div');
+        this.panel.className = 'replay-panel';
+        this.panel.setAttribute('role', 'group');
+        this.panel.setAttribute('aria-label', 'Grid history replay');
+        this.panel.innerHTML = `
+            <button type="button" class="btn btn-icon replay-play" title="Play">▶</button>
+            <input type="range" class="replay-scrubber" min="0" max="${this.replay.endTime - this.replay.startTime}" step="1" value="0" aria-label="Replay position">
+            <span class="replay-time" aria-live="off"></span>
+            <select class="replay-speed" aria-label="Playback speed" title="Playback speed">
+                ${SPEEDS.map(speed => `<option value="${speed}"${speed === this.speed ? ' selected' : ''}>${speed}×</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-small replay-exit">Exit Replay</button>
+        `;
+        this.container.appendChild(this.panel);
+        this.container.classList.add('replaying');
+
+        const playBtn = this.panel.querySelector('.replay-play');
+        const scrubber = this.panel.querySelector('.replay-scrubber');
+        playBtn.addEventListener('click', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        scrubber.addEventListener('input', () => {
+            this.pause();
+            this.seek(this.replay.startTime + Number(scrubber.value));
+        });
+        this.panel.querySelector('.replay-speed').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value);
+        });
+        this.panel.querySelector('.replay-exit').addEventListener('click', () => this.hide());
+
+        this.gridRenderer.startReplay(this.replay);
+        this.seek(this.replay.startTime);
+        playBtn.focus();
+        return true;
+    }
+
+    /**
+     * Leaves replay mode and returns the grid to its live state
+     */
+    hide() {
+        this.pause();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        if (this.replay) {
+            this.gridRenderer.stopReplay();
+            this.container.classList.remove('replaying');
+            this.replay = null;
+        }
+    }
+
+    /**
+     * Shows the grid as it was at a moment and updates the scrubber
+     * @param {number} time - Timestamp in milliseconds, between the first and last event
+     */
+    seek(time) {
+        this.replay.seek(time);
+        this.panel.querySelector('.replay-scrubber').value = String(time - this.replay.startTime);
+        this.panel.querySelector('.replay-time').textContent = new Date(time).toLocaleString();
+        this.gridRenderer.requestRedraw();
+    }
+
+    /**
+     * Plays the history forward from the current moment, starting over if it is at the end
+     */
+    play() {
+        if (this.replay.time >= this.replay.endTime) {
+            this.seek(this.replay.startTime);
+        }
+        this.playing = true;
+        this.lastFrameTime = null;
+        this.panel.querySelector('.replay-play').textContent = '⏸';
+        this.panel.querySelector('.replay-play').title = 'Pause';
+        this.animationFrame = requestAnimationFrame((now) => this.step(now));
+    }
+
+    /**
+     * Stops playback at the current moment
+     */
+    pause() {
+        this.playing = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        if (this.panel) {
+            this.panel.querySelector('.replay-play').textContent = '▶';
+            this.panel.querySelector('.replay-play').title = 'Play';
+        }
+    }
+
+    /**
+     * Advances playback by the time since the previous frame, scaled so the history lasts REPLAY_DURATION at 1×
+     * @param {number} now - Frame timestamp from requestAnimationFrame
+     */
+    step(now) {
+        if (this.lastFrameTime !== null) {
+            const span = this.replay.endTime - this.replay.startTime;
+            const advance = (now - this.lastFrameTime) * (span / REPLAY_DURATION) * this.speed;
+            this.seek(Math.min(this.replay.endTime, this.replay.time + advance));
+        }
+        this.lastFrameTime = now;
+
+        if (this.replay.time >= this.replay.endTime) {
+            this.pause();
+        } else {
+            this.animationFrame = requestAnimationFrame((time) => this.step(time));
+        }
+    }
+}
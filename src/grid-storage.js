@@ -0,0 +1,502 @@
+/**
+ * Grid Storage - Persists grid, ownership, archive and event log data in IndexedDB, or localStorage as a fallback
+ */
+
+/**
+ * Data migrations, applied in order to data stored by older versions
+ * Each receives and returns { grid, ownership }
+ */
+const MIGRATIONS = [
+    {
+        // 0 -> 1: unversioned localStorage data; squares gain x/y from their key, ownership gains defaults
+        version: 1,
+        migrate({ grid, ownership }) {
+            const migratedGrid = {};
+            Object.keys(grid).forEach(key => {
+                const [x, y] = key.split(',').map(Number);
+                if (!grid[key] || Number.isNaN(x) || Number.isNaN(y)) return;
+                migratedGrid[key] = { ...grid[key], x, y };
+            });
+
+            const migratedOwnership = {};
+            Object.keys(ownership).forEach(transactionId => {
+                const transaction = ownership[transactionId];
+                if (!transaction || !Array.isArray(transaction.squares)) return;
+                migratedOwnership[transactionId] = {
+                    ...transaction,
+                    squares: transaction.squares.map(s => ({ x: s.x, y: s.y })),
+                    url: transaction.url || null,
+                    username: transaction.username || 'Anonymous'
+                };
+            });
+
+            return { grid: migratedGrid, ownership: migratedOwnership };
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const BASE_PREFIX = 'shield-of-athena';
+export const DEFAULT_NAMESPACE = 'default';
+
+/**
+ * Builds the database name / localStorage key prefix of a campaign
+ * The default campaign keeps the original unscoped names so existing data stays readable
+ * @param {string} namespace - Campaign identifier
+ * @returns {string} Storage prefix
+ */
+export function storagePrefix(namespace) {
+    return namespace === DEFAULT_NAMESPACE ? BASE_PREFIX : `${BASE_PREFIX}:${namespace}`;
+}
+
+/**
+ * Recovers the campaign identifier from a database name or localStorage key prefix
+ * @param {string} prefix - Storage prefix
+ * @returns {string|null} Campaign identifier, or null if the prefix is not ours
+ */
+function namespaceFromPrefix(prefix) {
+    if (prefix === BASE_PREFIX) return DEFAULT_NAMESPACE;
+    if (prefix.startsWith(`${BASE_PREFIX}:`)) return prefix.slice(BASE_PREFIX.length + 1);
+    return null;
+}
+
+/**
+ * Upgrades stored data to the current schema version
+ * @param {{grid: Object, ownership: Object}} data - Data as stored
+ * @param {number} fromVersion - Schema version the data was stored with (0 if unversioned)
+ * @returns {{grid: Object, ownership: Object}} Data in the current schema
+ */
+export function migrate(data, fromVersion) {
+    return MIGRATIONS
+        .filter(m => m.version > fromVersion)
+        .reduce((migrated, m) => m.migrate(migrated), data);
+}
+
+/**
+ * Picks IndexedDB when the browser has it, localStorage otherwise
+ * @param {string} [namespace='default'] - Campaign whose data the storage holds
+ * @returns {IndexedDBGridStorage|LocalGridStorage} Storage backend
+ */
+export function createGridStorage(namespace = DEFAULT_NAMESPACE) {
+    const prefix = storagePrefix(namespace);
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBGridStorage(prefix);
+    }
+    return new LocalGridStorage(prefix);
+}
+
+/**
+ * Lists campaigns with data stored in this browser
+ * @returns {Promise<Array<string>>} Campaign identifiers, sorted
+ */
+export async function listCampaigns() {
+    const namespaces = new Set();
+
+    if (typeof indexedDB !== 'undefined' && indexedDB.databases) {
+        try {
+            const databases = await indexedDB.databases();
+            databases.forEach(({ name }) => {
+                const namespace = name && namespaceFromPrefix(name);
+                if (namespace) namespaces.add(namespace);
+            });
+        } catch (e) {
+            console.warn('Failed to list databases:', e);
+        }
+    }
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const match = /^(.+)-(grid|ownership|archive|events|schema)$/.exec(localStorage.key(i));
+        const namespace = match && namespaceFromPrefix(match[1]);
+        if (namespace) namespaces.add(namespace);
+    }
+
+    return Array.from(namespaces).sort();
+}
+
+/**
+ * Deletes everything stored for a campaign, in IndexedDB and localStorage
+ * @param {string} namespace - Campaign identifier
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export async function deleteCampaign(namespace) {
+    const prefix = storagePrefix(namespace);
+
+    const local = new LocalGridStorage(prefix);
+    Object.values(local.keys).forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(local.versionKey);
+
+    if (typeof indexedDB !== 'undefined') {
+        const request = indexedDB.deleteDatabase(prefix);
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            // The deletion stays queued and completes once the other tabs close the database
+            request.onblocked = () => reject(new Error('Campaign is open in another tab; it will be deleted once that tab closes'));
+        });
+    }
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>} Resolves once committed
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export class LocalGridStorage {
+    /**
+     * Creates a localStorage-backed store
+     * The grid, ownership, archive and event log are each stored as one JSON object, as before IndexedDB support
+     * @param {string} prefix - Key prefix
+     */
+    constructor(prefix) {
+        this.keys = {
+            grid: `${prefix}-grid`,
+            ownership: `${prefix}-ownership`,
+            archive: `${prefix}-archive`,
+            events: `${prefix}-events`
+        };
+        this.versionKey = `${prefix}-schema`;
+    }
+
+    /**
+     * Reads and parses a JSON object from localStorage
+     * @param {string} key - localStorage key
+     * @returns {Object} Parsed object, or an empty object if missing or unreadable
+     */
+    read(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn(`Failed to read ${key}:`, e);
+            return {};
+        }
+    }
+
+    /**
+     * Loads grid, ownership, archive and event data, migrating grid and ownership to the current schema if needed
+     * @returns {Promise<{grid: Object, ownership: Object, archive: Object, events: Object}>} Stored data
+     */
+    async load() {
+        let data = {
+            grid: this.read(this.keys.grid),
+            ownership: this.read(this.keys.ownership)
+        };
+
+        const version = Number(localStorage.getItem(this.versionKey)) || 0;
+        if (version < SCHEMA_VERSION) {
+            data = migrate(data, version);
+            await this.replaceAll('grid', data.grid);
+            await this.replaceAll('ownership', data.ownership);
+            localStorage.setItem(this.versionKey, String(SCHEMA_VERSION));
+        }
+
+        return { ...data, archive: this.read(this.keys.archive), events: this.read(this.keys.events) };
+    }
+
+    /**
+     * Writes changed entries over the stored copy, so entries written by other tabs are kept
+     * @param {string} store - 'grid', 'ownership', 'archive' or 'events'
+     * @param {Object} entries - Changed entries by key; null deletes the entry
+     * @returns {Promise<void>} Resolves once written
+     */
+    async saveEntries(store, entries) {
+        const stored = this.read(this.keys[store]);
+        Object.keys(entries).forEach(key => {
+            if (entries[key]) {
+                stored[key] = entries[key];
+            } else {
+                delete stored[key];
+            }
+        });
+        localStorage.setItem(this.keys[store], JSON.stringify(stored));
+    }
+
+    /**
+     * Replaces everything in a store
+     * @param {string} store - 'grid', 'ownership', 'archive' or 'events'
+     * @param {Object} data - New contents by key
+     * @returns {Promise<void>} Resolves once written
+     */
+    async replaceAll(store, data) {
+        localStorage.setItem(this.keys[store], JSON.stringify(data));
+    }
+
+    /**
+     * Listens for writes made by other tabs
+     * @param {Function} onChange - Receives { store, entries, complete }; complete entries replace the store
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(onChange) {
+        const handleStorage = (e) => {
+            if (e.storageArea !== localStorage) return;
+            const store = Object.keys(this.keys).find(name => this.keys[name] === e.key);
+            if (!store) return;
+
+            try {
+                const entries = e.newValue ? JSON.parse(e.newValue) : {};
+                onChange({ store, entries, complete: true });
+            } catch (err) {
+                console.warn('Ignoring unreadable cross-tab update:', err);
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }
+
+    /**
+     * Releases the store (nothing to release for localStorage)
+     */
+    close() {}
+}
+
+export class IndexedDBGridStorage {
+    /**
+     * Creates an IndexedDB-backed store with one record per square and per transaction
+     * @param {string} prefix - Database name, also used to find unmigrated localStorage data
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.dbName = prefix;
+        this.objectStores = {
+            grid: 'squares',
+            ownership: 'transactions',
+            archive: 'archive',
+            events: 'events'
+        };
+        this.db = null;
+        this.channel = null;
+    }
+
+    /**
+     * Opens the database, creating missing object stores on first use or upgrade
+     * Version 2 added the archive store, version 3 the event log
+     * Rejects if a tab holding an older version blocks the upgrade, so loading falls back to localStorage
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.dbName, 3);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(this.objectStores).forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name);
+                }
+            });
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta');
+            }
+        };
+        const db = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                // Don't hold a connection we gave up on once the other tab lets go
+                request.onsuccess = () => request.result.close();
+                reject(new Error('Database upgrade blocked by another open tab'));
+            };
+        });
+        // Step aside when another tab upgrades or deletes the database; the next write reopens it
+        db.onversionchange = () => {
+            db.close();
+            if (this.db === db) {
+                this.db = null;
+            }
+        };
+        this.db = db;
+        return this.db;
+    }
+
+    /**
+     * Reads every record of a store into an object
+     * @param {string} store - 'grid', 'ownership', 'archive' or 'events'
+     * @param {Array<string>} [keys] - Only read these keys (missing records come back as null)
+     * @returns {Promise<Object>} Records by key
+     */
+    async readAll(store, keys) {
+        const db = await this.open();
+        const objectStore = db.transaction(this.objectStores[store], 'readonly').objectStore(this.objectStores[store]);
+
+        if (keys) {
+            const values = await Promise.all(keys.map(key => promisifyRequest(objectStore.get(key))));
+            const entries = {};
+            keys.forEach((key, i) => {
+                entries[key] = values[i] || null;
+            });
+            return entries;
+        }
+
+        const [allKeys, allValues] = await Promise.all([
+            promisifyRequest(objectStore.getAllKeys()),
+            promisifyRequest(objectStore.getAll())
+        ]);
+        const entries = {};
+        allKeys.forEach((key, i) => {
+            entries[key] = allValues[i];
+        });
+        return entries;
+    }
+
+    /**
+     * Loads grid, ownership, archive and event data, migrating grid and ownership to the current schema if needed
+     * Data left in localStorage by older versions is moved into the database on first load
+     * @returns {Promise<{grid: Object, ownership: Object, archive: Object, events: Object}>} Stored data
+     */
+    async load() {
+        const db = await this.open();
+        let version = await promisifyRequest(db.transaction('meta', 'readonly').objectStore('meta').get('schemaVersion'));
+        let data;
+        let fromLocalStorage = false;
+
+        if (version === undefined) {
+            const legacy = new LocalGridStorage(this.prefix);
+            data = {
+                grid: legacy.read(legacy.keys.grid),
+                ownership: legacy.read(legacy.keys.ownership)
+            };
+            version = Number(localStorage.getItem(legacy.versionKey)) || 0;
+            fromLocalStorage = true;
+        } else {
+            data = {
+                grid: await this.readAll('grid'),
+                ownership: await this.readAll('ownership')
+            };
+        }
+
+        if (fromLocalStorage || version < SCHEMA_VERSION) {
+            data = migrate(data, version);
+
+            const tx = db.transaction([this.objectStores.grid, this.objectStores.ownership, 'meta'], 'readwrite');
+            ['grid', 'ownership'].forEach(store => {
+                const objectStore = tx.objectStore(this.objectStores[store]);
+                objectStore.clear();
+                Object.keys(data[store]).forEach(key => objectStore.put(data[store][key], key));
+            });
+            tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+            await transactionDone(tx);
+
+            if (fromLocalStorage) {
+                // The database is now the source of truth; free up localStorage quota
+                const legacy = new LocalGridStorage(this.prefix);
+                Object.values(legacy.keys).forEach(key => localStorage.removeItem(key));
+                localStorage.removeItem(legacy.versionKey);
+            }
+        }
+
+        return {
+            ...data,
+            archive: await this.readAll('archive'),
+            events: await this.readAll('events')
+        };
+    }
+
+    /**
+     * Writes changed entries, one record each
+     * @param {string} store - 'grid', 'ownership', 'archive' or 'events'
+     * @param {Object} entries - Changed entries by key; null deletes the entry
+     * @returns {Promise<void>} Resolves once committed
+     */
+    async saveEntries(store, entries) {
+        const db = await this.open();
+        const tx = db.transaction(this.objectStores[store], 'readwrite');
+        const objectStore = tx.objectStore(this.objectStores[store]);
+        Object.keys(entries).forEach(key => {
+            if (entries[key]) {
+                objectStore.put(entries[key], key);
+            } else {
+                objectStore.delete(key);
+            }
+        });
+        await transactionDone(tx);
+        this.broadcast({ store, keys: Object.keys(entries) });
+    }
+
+    /**
+     * Replaces everything in a store
+     * @param {string} store - 'grid', 'ownership', 'archive' or 'events'
+     * @param {Object} data - New contents by key
+     * @returns {Promise<void>} Resolves once committed
+     */
+    async replaceAll(store, data) {
+        const db = await this.open();
+        const tx = db.transaction(this.objectStores[store], 'readwrite');
+        const objectStore = tx.objectStore(this.objectStores[store]);
+        objectStore.clear();
+        Object.keys(data).forEach(key => objectStore.put(data[key], key));
+        await transactionDone(tx);
+        this.broadcast({ store, complete: true });
+    }
+
+    /**
+     * Tells other tabs which records changed
+     * @param {{store: string, keys?: Array<string>, complete?: boolean}} message - Change summary
+     */
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    /**
+     * Listens for writes made by other tabs, announced over a BroadcastChannel
+     * @param {Function} onChange - Receives { store, entries, complete }; complete entries replace the store
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(onChange) {
+        if (typeof BroadcastChannel === 'undefined') {
+            return () => {};
+        }
+
+        this.channel = new BroadcastChannel(this.dbName);
+        this.channel.onmessage = async (e) => {
+            const { store, keys, complete } = e.data || {};
+            if (!this.objectStores[store]) return;
+
+            try {
+                const entries = await this.readAll(store, complete ? undefined : keys);
+                onChange({ store, entries, complete: !!complete });
+            } catch (err) {
+                console.warn('Failed to read cross-tab update:', err);
+            }
+        };
+
+        return () => {
+            this.channel.close();
+            this.channel = null;
+        };
+    }
+
+    /**
+     * Closes the database connection so the campaign can be deleted
+     * IndexedDB lets queued transactions finish before the connection closes
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * Image Import - Turns an uploaded picture into square colors for an owned section
+ */
+
+/**
+ * Palettes an image can be reduced to; null keeps the image's own colors
+ */
+export const PALETTES = {
+    full: null,
+    presets: ['#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF', '#000000', '#FFFFFF'],
+    vga16: [
+        '#000000', '#800000', '#008000', '#808000', '#000080', '#800080', '#008080', '#C0C0C0',
+        '#808080', '#FF0000', '#00FF00', '#FFFF00', '#0000FF', '#FF00FF', '#00FFFF', '#FFFFFF'
+    ],
+    grayscale: ['#000000', '#555555', '#AAAAAA', '#FFFFFF']
+};
+
+/**
+ * Loads a local image file
+ * @param {File} file - PNG or JPEG file chosen by the user
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+export function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            reject(new Error('Please choose a PNG or JPEG image'));
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read the image'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Scales an image to a pixel grid, one pixel per square
+ * The image keeps its aspect ratio and is centered; uncovered pixels stay transparent
+ * @param {HTMLImageElement} image - Source image
+ * @param {number} width - Target width in squares
+ * @param {number} height - Target height in squares
+ * @returns {ImageData} Scaled pixels
+ */
+export function rasterizeImage(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const scale = Math.min(width / image.width, height / image.height);
+    const drawWidth = Math.max(1, Math.round(image.width * scale));
+    const drawHeight = Math.max(1, Math.round(image.height * scale));
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, Math.floor((width - drawWidth) / 2), Math.floor((height - drawHeight) / 2), drawWidth, drawHeight);
+
+    return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Reduces pixels to a palette in place, optionally with Floyd-Steinberg dithering
+ * @param {ImageData} imageData - Pixels to reduce
+ * @param {Array<string>} palette - Hex colors to reduce to
+ * @param {boolean} dither - Spread each pixel's rounding error to its neighbours
+ */
+export function quantizePixels(imageData, palette, dither) {
+    const { width, height, data } = imageData;
+    const colors = palette.map(hexToRgb);
+    // Work on floats so diffused error is not clamped early
+    const pixels = Float32Array.from(data);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < 128) continue;
+
+            const nearest = nearestColor(colors, pixels[i], pixels[i + 1], pixels[i + 2]);
+            const errors = [0, 1, 2].map(c => pixels[i + c] - nearest[c]);
+            [0, 1, 2].forEach(c => {
+                data[i + c] = nearest[c];
+            });
+
+            if (dither) {
+                [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]].forEach(([dx, dy, weight]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) return;
+                    const j = (ny * width + nx) * 4;
+                    [0, 1, 2].forEach(c => {
+                        pixels[j + c] += errors[c] * weight;
+                    });
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Finds the palette color closest to an RGB value
+ * @param {Array<Array<number>>} colors - Palette as RGB triples
+ * @param {number} r - Red (0-255, may be out of range after dithering)
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @returns {Array<number>} Closest palette color
+ */
+function nearestColor(colors, r, g, b) {
+    let best = colors[0];
+    let bestDistance = Infinity;
+    colors.forEach(color => {
+        const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+        if (distance < bestDistance) {
+            best = color;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Converts a #RRGGBB color to RGB components
+ * @param {string} hex - Hex color code
+ * @returns {Array<number>} Red, green and blue (0-255)
+ */
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+/**
+ * Converts RGB components to a #RRGGBB color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Hex color code
+ */
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+export class ImageImporter {
+    /**
+     * Creates a new ImageImporter
+     * @param {StateManager} stateManager - State management service
+     * @param {GridRenderer} gridRenderer - Renderer that previews and applies the colors
+     */
+    constructor(stateManager, gridRenderer) {
+        this.stateManager = stateManager;
+        this.gridRenderer = gridRenderer;
+        this.panel = null;
+        this.image = null;
+        this.squares = [];
+    }
+
+    /**
+     * Opens the import panel for one of the user's sections
+     * The grid stays visible so the preview can be judged in place
+     * @param {Object} transaction - Transaction from StateManager.getTransactions()
+     * @param {Function} [onClose] - Called with the number of squares changed, or null if cancelled
+     */
+    show(transaction, onClose = null) {
+        this.hide();
+        this.onClose = onClose;
+        this.image = null;
+        this.squares = transaction.squares.filter(s => this.stateManager.isOwnedSquare(s.x, s.y));
+        this.bounds = this.stateManager.getSquaresBounds(this.squares);
+        if (!this.bounds) return;
+
+        const width = this.bounds.maxX - this.bounds.minX + 1;
+        const height = this.bounds.maxY - this.bounds.minY + 1;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'image-import-panel';
+        this.panel.innerHTML = `
+            <div class="image-import-header">
+                <h3>Import Image</h3>
+                <button type="button" class="close-btn" aria-label="Close">&times;</button>
+            </div>
+            <p class="image-import-size">Your section is ${width}×${height} squares; the image is scaled to fit.</p>
+            <div class="form-group">
+                <label for="imageImportFile">Image (PNG or JPEG)</label>
+                <input type="file" id="imageImportFile" accept="image/png,image/jpeg">
+            </div>
+            <div class="form-group">
+                <label for="imageImportPalette">Colors</label>
+                <select id="imageImportPalette">
+                    <option value="full">Full color</option>
+                    <option value="presets">8 preset colors</option>
+                    <option value="vga16">16 colors</option>
+                    <option value="grayscale">4 grays</option>
+                </select>
+            </div>
+            <label class="image-import-dither">
+                <input type="checkbox" id="imageImportDither"> Dither
+            </label>
+            <div class="error-message" style="display: none;"></div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" id="imageImportCancel">Cancel</button>
+                <button type="button" class="btn btn-primary" id="imageImportApply" disabled>Apply</button>
+            </div>
+        `;
+        this.gridRenderer.container.appendChild(this.panel);
+
+        const fileInput = this.panel.querySelector('#imageImportFile');
+        const paletteSelect = this.panel.querySelector('#imageImportPalette');
+        const ditherInput = this.panel.querySelector('#imageImportDither');
+        const errorMsg = this.panel.querySelector('.error-message');
+        const applyBtn = this.panel.querySelector('#imageImportApply');
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            errorMsg.style.display = 'none';
+            try {
+                this.image = await loadImageFile(file);
+                this.updatePreview(paletteSelect.value, ditherInput.checked);
+                applyBtn.disabled = false;
+            } catch (error) {
+                this.image = null;
+                this.gridRenderer.clearPreviewSquares();
+                applyBtn.disabled = true;
+                errorMsg.textContent = error.message;
+                errorMsg.style.display = 'block';
+            }
+        });
+
+        const refresh = () => {
+            if (this.image) {
+                this.updatePreview(paletteSelect.value, ditherInput.checked);
+            }
+        };
+        paletteSelect.addEventListener('change', refresh);
+        ditherInput.addEventListener('change', refresh);
+
+        applyBtn.addEventListener('click', () => {
+            const changed = this.gridRenderer.commitPreviewSquares();
+            this.close(changed);
+        });
+        this.panel.querySelector('#imageImportCancel').addEventListener('click', () => this.close(null));
+        this.panel.querySelector('.close-btn').addEventListener('click', () => this.close(null));
+    }
+
+    /**
+     * Recomputes the square colors and shows them over the grid
+     * @param {string} paletteName - Key of PALETTES
+     * @param {boolean} dither - Whether to dither when reducing colors
+     */
+    updatePreview(paletteName, dither) {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        const width = maxX - minX + 1;
+        const imageData = rasterizeImage(this.image, width, maxY - minY + 1);
+        const palette = PALETTES[paletteName];
+        if (palette) {
+            quantizePixels(imageData, palette, dither);
+        }
+
+        const squares = [];
+        this.squares.forEach(({ x, y }) => {
+            const i = ((y - minY) * width + (x - minX)) * 4;
+            const data = imageData.data;
+            if (data[i + 3] < 128) return; // Transparent or outside the scaled image
+            squares.push({ x, y, color: rgbToHex(data[i], data[i + 1], data[i + 2]) });
+        });
+        this.gridRenderer.setPreviewSquares(squares);
+    }
+
+    /**
+     * Closes the panel and reports how many squares changed
+     * @param {number|null} changed - Number of squares changed, null if cancelled
+     */
+    close(changed) {
+        const onClose = this.onClose;
+        this.hide();
+        if (onClose) {
+            onClose(changed);
+        }
+    }
+
+    /**
+     * Removes the panel and any preview without applying it
+     */
+    hide() {
+        this.gridRenderer.clearPreviewSquares();
+        this.onClose = null;
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+}
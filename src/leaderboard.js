@@ -90,11 +90,12 @@ export class Leaderboard {
         this.update();
         
         // Listen for state changes
-        this.stateManager.addListener((changeData) => {
+        this.handleStateChange = (changeData) => {
             if (changeData && changeData.leaderboardUpdate) {
                 this.update();
             }
-        });
+        };
+        this.stateManager.addListener(this.handleStateChange);
     }
 
     /**
@@ -186,6 +187,7 @@ export class Leaderboard {
      * Destroys the leaderboard
      */
     destroy() {
+        this.stateManager.removeListener(this.handleStateChange);
         if (this.leaderboardElement) {
             this.leaderboardElement.remove();
         }
@@ -0,0 +1,156 @@
+/**
+ * Live Updates - Streams grid changes between the backend and StateManager
+ */
+
+export class LiveUpdates {
+    /**
+     * Creates a new LiveUpdates bridge
+     * @param {BackendAdapter} api - Backend adapter providing the live channel
+     * @param {StateManager} stateManager - State management service
+     */
+    constructor(api, stateManager) {
+        this.api = api;
+        this.stateManager = stateManager;
+        this.unsubscribe = null;
+        this.pendingColors = new Map(); // transactionId -> Map of "x,y" -> {x, y, color}
+        this.flushTimeout = null;
+        this.flushDelay = 250; // Batch paint strokes into a few requests
+        this.retryDelay = 5000; // Wait before resending changes the backend could not be reached for
+        this.handleStateChange = this.handleStateChange.bind(this);
+    }
+
+    /**
+     * Starts receiving remote changes and forwarding local color changes
+     */
+    start() {
+        this.unsubscribe = this.api.subscribe(event => this.handleEvent(event));
+        this.stateManager.addListener(this.handleStateChange);
+    }
+
+    /**
+     * Stops the live channel and flushes pending color changes
+     */
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.stateManager.removeListener(this.handleStateChange);
+        this.flush();
+    }
+
+    /**
+     * Applies a change pushed by the backend to StateManager
+     * @param {{type: string, squares: Array<Object>}} event - Live update event
+     */
+    async handleEvent(event) {
+        switch (event.type) {
+            case 'claim':
+                this.stateManager.applyRemoteSquares(event.squares);
+                break;
+            case 'color':
+                this.stateManager.applyRemoteColors(event.squares);
+                break;
+            case 'renew':
+                this.stateManager.applyRemoteRenewals(event.squares);
+                break;
+            case 'expire':
+                this.stateManager.applyRemoteRemovals(event.squares);
+                break;
+            case 'hold':
+                this.stateManager.applyRemoteHolds(event.squares);
+                break;
+            case 'release':
+                this.stateManager.applyRemoteReleases(event.squares);
+                break;
+            case 'resync': {
+                // Events may have been missed while disconnected
+                const result = await this.api.getGridState();
+                if (result.success && result.grid) {
+                    this.stateManager.loadServerGrid(result.grid);
+                    this.stateManager.setHolds(result.holds || []);
+                }
+                break;
+            }
+            default:
+                console.warn(`Unknown live update type "${event.type}"`);
+        }
+    }
+
+    /**
+     * Queues local color changes of owned squares to be sent to the backend
+     * @param {Object} changeData - Change data from StateManager listeners
+     */
+    handleStateChange(changeData) {
+        if (!changeData || !changeData.colorUpdate || changeData.remote) {
+            return;
+        }
+
+        const squares = changeData.multiple ? changeData.squares : [{ x: changeData.x, y: changeData.y }];
+        squares.forEach(({ x, y }) => {
+            const transactionId = this.stateManager.getSquareTransactionId(x, y);
+            const square = this.stateManager.getSquare(x, y);
+            if (!transactionId || !square) return;
+
+            if (!this.pendingColors.has(transactionId)) {
+                this.pendingColors.set(transactionId, new Map());
+            }
+            this.pendingColors.get(transactionId).set(`${x},${y}`, { x, y, color: square.color });
+        });
+
+        if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    /**
+     * Sends all queued color changes to the backend, one request per transaction
+     */
+    flush() {
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+
+        this.pendingColors.forEach((squares, transactionId) => {
+            const sent = Array.from(squares.values());
+            this.api.updateSquareColors(transactionId, sent).then(result => {
+                if (result.success) return;
+                if (result.unreachable) {
+                    // Offline or timed out: the backend never saw the change
+                    console.warn('Failed to send color changes, retrying:', result.error);
+                    this.requeue(transactionId, sent);
+                } else {
+                    console.warn('Failed to sync color changes:', result.error);
+                }
+            }).catch(error => {
+                console.warn('Failed to send color changes, retrying:', error);
+                this.requeue(transactionId, sent);
+            });
+        });
+        this.pendingColors.clear();
+    }
+
+    /**
+     * Queues color changes that could not be sent again, unless the squares were repainted since
+     * Nothing is retried once stopped
+     * @param {string} transactionId - Transaction the squares belong to
+     * @param {Array<{x: number, y: number, color: string}>} squares - Changes that failed to send
+     */
+    requeue(transactionId, squares) {
+        if (!this.unsubscribe) return;
+
+        if (!this.pendingColors.has(transactionId)) {
+            this.pendingColors.set(transactionId, new Map());
+        }
+        const pending = this.pendingColors.get(transactionId);
+        squares.forEach(square => {
+            const key = `${square.x},${square.y}`;
+            if (!pending.has(key)) {
+                pending.set(key, square);
+            }
+        });
+
+        if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), this.retryDelay);
+        }
+    }
+}
@@ -0,0 +1,350 @@
+/**
+ * Lock Renewal - Lets owners extend the lock on their sections before it lapses
+ */
+
+import { trapFocus } from './focus-trap.js';
+
+export class LockRenewal {
+    /**
+     * Creates a new LockRenewal instance
+     * @param {number} squarePrice - Price per square in dollars, charged again for each renewed square
+     * @param {BackendAdapter} api - Backend adapter for processing renewals
+     * @param {ReceiptGenerator} receiptGenerator - Service for generating receipts
+     * @param {StateManager} stateManager - State management service
+     */
+    constructor(squarePrice, api, receiptGenerator, stateManager) {
+        this.squarePrice = squarePrice;
+        this.api = api;
+        this.receiptGenerator = receiptGenerator;
+        this.stateManager = stateManager;
+        this.modal = null;
+        this.handleEsc = null;
+        this.releaseFocus = null;
+        this.onNavigate = null;
+    }
+
+    /**
+     * Gets the time left before the first square of a transaction lapses
+     * @param {Object} transaction - Transaction from StateManager.getTransactions()
+     * @returns {number} Remaining time in milliseconds (0 if lapsed)
+     */
+    getTimeRemaining(transaction) {
+        return Math.min(...transaction.squares.map(s => this.stateManager.getTimeRemaining(s.x, s.y)));
+    }
+
+    /**
+     * Narrows a transaction to the squares that can still be renewed, so only those are priced and billed
+     * Squares past their grace period are left for the cleanup to remove
+     * @param {Object} transaction - Transaction from StateManager.getTransactions()
+     * @returns {Object} Copy of the transaction with only renewable squares and a matching count
+     */
+    getRenewable(transaction) {
+        const now = Date.now();
+        const squares = transaction.squares.filter(s => s.expiryTime + this.stateManager.gracePeriod > now);
+        return { ...transaction, squares, count: squares.length };
+    }
+
+    /**
+     * Describes how long a transaction stays locked, or how long its grace period lasts
+     * @param {Object} transaction - Transaction from StateManager.getTransactions()
+     * @returns {string} e.g. "2d 5h remaining" or "Lapsed (grace: 3h 10m remaining)"
+     */
+    describeRemaining(transaction) {
+        const remaining = this.getTimeRemaining(transaction);
+        if (remaining > 0) {
+            return this.stateManager.formatTimeRemaining(remaining);
+        }
+        const grace = Math.min(...transaction.squares.map(s => this.stateManager.getGraceRemaining(s.x, s.y)));
+        return `Lapsed (grace: ${this.stateManager.formatTimeRemaining(grace)})`;
+    }
+
+    /**
+     * Displays the list of the user's sections with their remaining lock time
+     * @param {Function} [onNavigate] - Called with a transaction to show it on the grid
+     */
+    show(onNavigate = null) {
+        this.hide();
+        this.onNavigate = onNavigate;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'donation-modal lock-renewal-modal';
+        this.modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="lockRenewalTitle">
+                <div class="modal-header">
+                    <h2 id="lockRenewalTitle">Extend Your Locks</h2>
+                    <button class="close-btn" aria-label="Close">&times;</button>
+                </div>
+
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.close-btn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+        this.handleEsc = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        };
+        document.addEventListener('keydown', this.handleEsc);
+
+        this.showList();
+        this.releaseFocus = trapFocus(this.modal.querySelector('.modal-content'));
+    }
+
+    /**
+     * Hides and removes the modal from the DOM
+     */
+    hide() {
+        if (this.handleEsc) {
+            document.removeEventListener('keydown', this.handleEsc);
+            this.handleEsc = null;
+        }
+        if (this.releaseFocus) {
+            this.releaseFocus();
+            this.releaseFocus = null;
+        }
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Renders the owned transactions, soonest to lapse first
+     */
+    showList() {
+        const modalBody = this.modal.querySelector('.modal-body');
+        const transactions = this.stateManager.getTransactions()
+            .map(transaction => this.getRenewable(transaction))
+            .filter(transaction => transaction.count > 0)
+            .map(transaction => ({ transaction, remaining: this.getTimeRemaining(transaction) }))
+            .sort((a, b) => a.remaining - b.remaining);
+
+        if (transactions.length === 0) {
+            modalBody.innerHTML = '<p class="lock-renewal-empty">You have no locked sections to extend.</p>';
+            return;
+        }
+
+        modalBody.innerHTML = `
+            <p class="lock-renewal-intro">Squares become available to others when their lock lapses. Extending adds ${this.formatLockDuration()} and keeps your colors.</p>
+            <ul class="lock-renewal-list">
+                ${transactions.map(({ transaction }, index) => `
+                    <li class="lock-renewal-item">
+                        <button type="button" class="btn btn-text lock-renewal-view" data-index="${index}" title="Show on the grid"></button>
+                        <span class="lock-renewal-remaining">${this.describeRemaining(transaction)}</span>
+                        <button type="button" class="btn btn-primary btn-small lock-renewal-extend" data-index="${index}">
+                            Extend lock ($${(transaction.count * this.squarePrice).toFixed(2)})
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        const findTransaction = (btn) => {
+            const entry = transactions[Number(btn.getAttribute('data-index'))];
+            return entry ? entry.transaction : null;
+        };
+
+        modalBody.querySelectorAll('.lock-renewal-view').forEach(btn => {
+            // Usernames can come from imported backups, so they are never parsed as markup
+            const transaction = findTransaction(btn);
+            btn.textContent = `${transaction.count} sq · ${transaction.username}`;
+            btn.addEventListener('click', () => {
+                const transaction = findTransaction(btn);
+                if (transaction && this.onNavigate) {
+                    this.onNavigate(transaction);
+                }
+            });
+        });
+        modalBody.querySelectorAll('.lock-renewal-extend').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const transaction = findTransaction(btn);
+                if (transaction) {
+                    this.showForm(transaction);
+                }
+            });
+        });
+    }
+
+    /**
+     * Formats the lock duration for display
+     * @returns {string} e.g. "7 days"
+     */
+    formatLockDuration() {
+        const days = Math.round(this.stateManager.lockDuration / (24 * 60 * 60 * 1000));
+        if (days >= 1) {
+            return `${days} day${days === 1 ? '' : 's'}`;
+        }
+        const hours = Math.max(1, Math.round(this.stateManager.lockDuration / (60 * 60 * 1000)));
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Renders the renewal donation form for one transaction
+     * @param {Object} owned - Transaction from StateManager.getTransactions()
+     */
+    showForm(owned) {
+        const transaction = this.getRenewable(owned);
+        if (transaction.count === 0) {
+            this.showList();
+            return;
+        }
+
+        const modalBody = this.modal.querySelector('.modal-body');
+        const totalAmount = transaction.count * this.squarePrice;
+        const withEmail = transaction.squares.find(s => s.email);
+
+        modalBody.innerHTML = `
+            <div class="donation-summary">
+                <div class="summary-row">
+                    <span>Squares to Renew:</span>
+                    <strong>${transaction.count}</strong>
+                </div>
+                <div class="summary-row">
+                    <span>Lock Remaining:</span>
+                    <strong>${this.describeRemaining(transaction)}</strong>
+                </div>
+                <div class="summary-row">
+                    <span>Price per Square:</span>
+                    <strong>$${this.squarePrice.toFixed(2)}</strong>
+                </div>
+                <div class="summary-row total">
+                    <span>Renewal Donation:</span>
+                    <strong>$${totalAmount.toFixed(2)}</strong>
+                </div>
+            </div>
+
+            <form class="donation-form" id="lockRenewalForm">
+                <div class="form-group">
+                    <label for="renewalEmail">Email Address:</label>
+                    <input
+                        type="email"
+                        id="renewalEmail"
+                        name="email"
+                        placeholder="your.email@example.com"
+                        required
+                    >
+                    <small>For your tax-deductible receipt</small>
+                </div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" id="renewalBackBtn">Back</button>
+                    <button type="submit" class="btn btn-primary" id="renewalSubmitBtn">
+                        Donate $${totalAmount.toFixed(2)}
+                    </button>
+                </div>
+
+                <div class="processing-message" style="display: none;">
+                    <div class="spinner"></div>
+                    <p>Processing your renewal...</p>
+                </div>
+
+                <div class="error-message" style="display: none;"></div>
+            </form>
+        `;
+
+        const emailInput = modalBody.querySelector('#renewalEmail');
+        emailInput.value = withEmail ? withEmail.email : '';
+        emailInput.focus();
+
+        modalBody.querySelector('#renewalBackBtn').addEventListener('click', () => this.showList());
+        modalBody.querySelector('#lockRenewalForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(transaction, totalAmount, emailInput.value.trim());
+        });
+    }
+
+    /**
+     * Processes the renewal donation, extends the local locks and generates the receipt
+     * @param {Object} transaction - Transaction being renewed
+     * @param {number} totalAmount - Renewal amount in dollars
+     * @param {string} email - Donor's email address
+     */
+    async handleSubmit(transaction, totalAmount, email) {
+        const modal = this.modal;
+        const submitBtn = modal.querySelector('#renewalSubmitBtn');
+        const processingMsg = modal.querySelector('.processing-message');
+        const errorMsg = modal.querySelector('.error-message');
+
+        submitBtn.disabled = true;
+        processingMsg.style.display = 'block';
+        errorMsg.style.display = 'none';
+
+        try {
+            const renewalResult = await this.api.renewLock({
+                transactionId: transaction.transactionId,
+                email,
+                totalAmount,
+                squarePrice: this.squarePrice
+            });
+
+            if (!renewalResult.success) {
+                throw new Error(renewalResult.error || 'Renewal failed');
+            }
+
+            // Expiry moves in place, so colors and paint history are untouched
+            this.stateManager.extendSquareLocks(renewalResult.squares);
+
+            const receiptResult = await this.api.generateReceipt({
+                transactionId: renewalResult.transactionId,
+                email,
+                amount: renewalResult.amount,
+                squares: renewalResult.squares.map(({ x, y }) => ({ x, y })),
+                timestamp: renewalResult.timestamp,
+                renewalOf: transaction.transactionId
+            });
+
+            // Modal was closed while the request was in flight
+            if (this.modal !== modal) return;
+
+            if (receiptResult.success) {
+                this.showSuccess(receiptResult.receipt, renewalResult.squares);
+            } else {
+                this.hide();
+            }
+        } catch (error) {
+            if (this.modal !== modal) return;
+            errorMsg.textContent = error.message;
+            errorMsg.style.display = 'block';
+            processingMsg.style.display = 'none';
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Displays the renewed lock and receipt actions
+     * @param {Object} receiptData - Receipt information for the renewal
+     * @param {Array<{x: number, y: number, expiryTime: number}>} squares - Renewed squares
+     */
+    showSuccess(receiptData, squares) {
+        const modalBody = this.modal.querySelector('.modal-body');
+        const expiryTime = Math.min(...squares.map(s => s.expiryTime));
+
+        modalBody.innerHTML = `
+            <div class="success-message">
+                <div class="success-icon">✓</div>
+                <h3>Lock Extended!</h3>
+                <p>Thank you for your continued support!</p>
+                <p>${squares.length} square${squares.length === 1 ? ' is' : 's are'} now locked until ${new Date(expiryTime).toLocaleString()}.</p>
+
+                <div class="receipt-actions">
+                    <button class="btn btn-primary" id="viewRenewalReceiptBtn">View Receipt</button>
+                    <button class="btn btn-secondary" id="downloadRenewalReceiptBtn">Download Receipt</button>
+                </div>
+
+                <button class="btn btn-text" id="renewalListBtn">Back to My Sections</button>
+            </div>
+        `;
+
+        modalBody.querySelector('#viewRenewalReceiptBtn').addEventListener('click', () => {
+            this.receiptGenerator.displayReceipt(receiptData);
+        });
+        modalBody.querySelector('#downloadRenewalReceiptBtn').addEventListener('click', () => {
+            this.receiptGenerator.downloadReceipt(receiptData);
+        });
+        modalBody.querySelector('#renewalListBtn').addEventListener('click', () => this.showList());
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Minimap - Whole-board overview with the main view's viewport, click or drag to jump
+ */
+
+export class Minimap {
+    /**
+     * Creates a new Minimap in the corner of the grid wrapper
+     * @param {HTMLElement} container - Wrapper element the minimap floats in
+     * @param {GridRenderer} gridRenderer - Main renderer to follow and steer
+     */
+    constructor(container, gridRenderer) {
+        this.container = container;
+        this.gridRenderer = gridRenderer;
+        this.gridSize = gridRenderer.gridSize;
+        this.isDragging = false;
+
+        // One canvas pixel per square; CSS scales it to the panel size
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'shield-minimap';
+        this.canvas.width = this.gridSize;
+        this.canvas.height = this.gridSize;
+        this.canvas.title = 'Click or drag to move the view';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.handleFrame = () => this.render();
+        this.init();
+    }
+
+    /**
+     * Attaches the canvas, pointer handlers and the renderer listener
+     */
+    init() {
+        this.container.appendChild(this.canvas);
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.isDragging = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.jumpTo(e.clientX, e.clientY);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.isDragging) {
+                this.jumpTo(e.clientX, e.clientY);
+            }
+        });
+        const stopDragging = () => {
+            this.isDragging = false;
+        };
+        this.canvas.addEventListener('pointerup', stopDragging);
+        this.canvas.addEventListener('pointercancel', stopDragging);
+
+        this.gridRenderer.addViewportListener(this.handleFrame);
+        this.render();
+    }
+
+    /**
+     * Draws the board and the viewport rectangle
+     * Squares come from the renderer's bitmap, which already tracks StateManager changes
+     */
+    render() {
+        const ctx = this.ctx;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.gridRenderer.bitmap.flush(), 0, 0);
+
+        // Keep the outline about 2 screen pixels wide however large the panel is drawn
+        const displayWidth = this.canvas.clientWidth || this.gridSize;
+        const lineWidth = 2 * this.gridSize / displayWidth;
+        const viewport = this.gridRenderer.getViewport();
+        ctx.strokeStyle = '#1C1A3C';
+        ctx.lineWidth = lineWidth;
+        ctx.strokeRect(
+            viewport.x + lineWidth / 2,
+            viewport.y + lineWidth / 2,
+            Math.max(1, viewport.width - lineWidth),
+            Math.max(1, viewport.height - lineWidth)
+        );
+        ctx.fillStyle = 'rgba(115, 115, 168, 0.15)';
+        ctx.fillRect(viewport.x, viewport.y, viewport.width, viewport.height);
+    }
+
+    /**
+     * Centers the main view on the point under the pointer
+     * @param {number} clientX - Pointer X in viewport pixels
+     * @param {number} clientY - Pointer Y in viewport pixels
+     */
+    jumpTo(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const gridX = (clientX - rect.left) / rect.width * this.gridSize;
+        const gridY = (clientY - rect.top) / rect.height * this.gridSize;
+        this.gridRenderer.centerOn(
+            Math.max(0, Math.min(this.gridSize, gridX)),
+            Math.max(0, Math.min(this.gridSize, gridY))
+        );
+    }
+
+    /**
+     * Stops following the renderer and removes the canvas
+     */
+    destroy() {
+        this.gridRenderer.removeViewportListener(this.handleFrame);
+        this.canvas.remove();
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Paint History - Undo/redo of paint and erase strokes, kept for the browser session
+ */
+
+import { storagePrefix } from './grid-storage.js';
+
+export class PaintHistory {
+    /**
+     * Creates a new PaintHistory for one grid
+     * @param {StateManager} stateManager - State management service
+     * @param {string} namespace - Campaign namespace, scoping the session copy
+     * @param {number} [limit=100] - Maximum number of strokes kept for undo
+     */
+    constructor(stateManager, namespace, limit = 100) {
+        this.stateManager = stateManager;
+        this.storageKey = `${storagePrefix(namespace)}-paint-history`;
+        this.limit = limit;
+        this.currentStroke = null; // "x,y" -> { x, y, before, after }
+
+        const stored = this.load();
+        this.undoStack = stored.undo;
+        this.redoStack = stored.redo;
+    }
+
+    /**
+     * Loads strokes saved earlier in this browser session
+     * @returns {{undo: Array, redo: Array}} Saved undo and redo stacks
+     */
+    load() {
+        try {
+            const stored = sessionStorage.getItem(this.storageKey);
+            if (stored) {
+                const { undo, redo } = JSON.parse(stored);
+                if (Array.isArray(undo) && Array.isArray(redo)) {
+                    return { undo, redo };
+                }
+            }
+        } catch (e) {
+            console.warn('Failed to load paint history:', e);
+        }
+        return { undo: [], redo: [] };
+    }
+
+    /**
+     * Saves the undo and redo stacks for the rest of the session
+     */
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({ undo: this.undoStack, redo: this.redoStack }));
+        } catch (e) {
+            console.warn('Failed to save paint history:', e);
+        }
+    }
+
+    /**
+     * Starts grouping color changes into one undoable stroke
+     */
+    beginStroke() {
+        this.currentStroke = new Map();
+    }
+
+    /**
+     * Records a color change made during the current stroke
+     * Repainting a square keeps its color from before the stroke
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @param {string} before - Color before the change
+     * @param {string} after - Color after the change
+     */
+    record(x, y, before, after) {
+        const standalone = !this.currentStroke;
+        if (standalone) {
+            this.beginStroke();
+        }
+
+        const key = `${x},${y}`;
+        const existing = this.currentStroke.get(key);
+        this.currentStroke.set(key, { x, y, before: existing ? existing.before : before, after });
+
+        if (standalone) {
+            this.endStroke();
+        }
+    }
+
+    /**
+     * Finishes the current stroke and pushes it onto the undo stack
+     */
+    endStroke() {
+        const stroke = this.currentStroke;
+        this.currentStroke = null;
+        if (!stroke) return;
+
+        const changes = Array.from(stroke.values()).filter(c => c.before !== c.after);
+        if (changes.length === 0) return;
+
+        this.undoStack.push(changes);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.save();
+    }
+
+    /**
+     * Checks if there is a stroke to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Checks if there is a stroke to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Restores the colors from before the last stroke
+     * @returns {number} Number of squares changed
+     */
+    undo() {
+        return this.move(this.undoStack, this.redoStack, 'before');
+    }
+
+    /**
+     * Reapplies the last undone stroke
+     * @returns {number} Number of squares changed
+     */
+    redo() {
+        return this.move(this.redoStack, this.undoStack, 'after');
+    }
+
+    /**
+     * Applies one side of a stroke and moves it to the other stack
+     * Squares no longer owned (e.g. expired) are skipped
+     * @param {Array} from - Stack to take the stroke from
+     * @param {Array} to - Stack to push the stroke onto
+     * @param {string} side - 'before' to undo, 'after' to redo
+     * @returns {number} Number of squares changed
+     */
+    move(from, to, side) {
+        this.endStroke();
+        const stroke = from.pop();
+        if (!stroke) return 0;
+
+        const updated = this.stateManager.updateSquareColors(
+            stroke.map(change => ({ x: change.x, y: change.y, color: change[side] }))
+        );
+        to.push(stroke);
+        this.save();
+        return updated.length;
+    }
+
+    /**
+     * Forgets all strokes, e.g. after the user's squares are cleared
+     */
+    clear() {
+        this.currentStroke = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+}
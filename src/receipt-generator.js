@@ -15,6 +15,7 @@ export class ReceiptGenerator {
      * @param {string} receiptData.organizationEIN - Tax EIN number
      * @param {string} receiptData.receiptNumber - Unique receipt number
      * @param {string} receiptData.notes - Additional tax information
+     * @param {string|null} [receiptData.renewalOf] - Transaction whose lock this donation renewed
      * @returns {string} Complete HTML document as string
      */
     generateReceiptHTML(receiptData) {
@@ -27,7 +28,8 @@ export class ReceiptGenerator {
             organizationName,
             organizationEIN,
             receiptNumber,
-            notes
+            notes,
+            renewalOf = null
         } = receiptData;
 
         const date = new Date(timestamp).toLocaleDateString('en-US', {
@@ -147,8 +149,13 @@ export class ReceiptGenerator {
                     </div>
 
                     <div class="section">
+                        ${renewalOf ? `
                         <div class="row">
-                            <span class="label">Squares Claimed:</span>
+                            <span class="label">Lock Renewal Of:</span>
+                            <span>${renewalOf}</span>
+                        </div>` : ''}
+                        <div class="row">
+                            <span class="label">${renewalOf ? 'Squares Renewed:' : 'Squares Claimed:'}</span>
                             <span>${squares.length}</span>
                         </div>
                         <div class="row">
@@ -230,7 +237,8 @@ export class ReceiptGenerator {
             organizationName,
             organizationEIN,
             receiptNumber,
-            notes
+            notes,
+            renewalOf = null
         } = receiptData;
 
         const date = new Date(timestamp).toLocaleString();
@@ -252,7 +260,7 @@ Donor Email: ${email}
 
 DONATION AMOUNT: $${amount.toFixed(2)}
 
-Squares Claimed: ${squares.length}
+${renewalOf ? `Lock Renewal Of: ${renewalOf}\n` : ''}${renewalOf ? 'Squares Renewed' : 'Squares Claimed'}: ${squares.length}
 Coordinates: ${squaresList}
 Lock Duration: 7 days
 
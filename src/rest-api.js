@@ -0,0 +1,213 @@
+/**
+ * REST API Layer - Talks to a shared grid/donation server over JSON
+ */
+
+import { BackendAdapter } from './backend-adapter.js';
+
+export class RestAPI extends BackendAdapter {
+    /**
+     * Creates a new RestAPI instance
+     * @param {string} baseUrl - Base URL of the server (e.g. 'http://localhost:8787/api')
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.headers] - Extra headers sent with every request
+     * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+     */
+    constructor(baseUrl, options = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Sends a JSON request to the server
+     * Network and HTTP failures are returned as result objects rather than thrown;
+     * requests that never reached the server also carry unreachable: true, so callers can retry them
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to baseUrl
+     * @param {Object} [body] - JSON body to send
+     * @returns {Promise<Object>} Parsed response with at least a success flag
+     */
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.headers
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                return {
+                    ...data,
+                    success: false,
+                    error: data.error || `Request failed with status ${response.status}`
+                };
+            }
+            return data;
+        } catch (e) {
+            return {
+                success: false,
+                unreachable: true,
+                error: e.name === 'AbortError' ? 'Request timed out' : 'Could not reach the server'
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Submits a donation to the server
+     * @param {Object} donationData - The donation information (see BackendAdapter.processDonation)
+     * @returns {Promise<Object>} Result object with success status and transaction details
+     */
+    async processDonation(donationData) {
+        const { email } = donationData;
+        if (!email || !this.isValidEmail(email)) {
+            return {
+                success: false,
+                error: 'Invalid email address'
+            };
+        }
+
+        return this.request('POST', '/donations', donationData);
+    }
+
+    /**
+     * Fetches the shared grid state from the server
+     * @returns {Promise<Object>} Result object with grid data keyed by "x,y"
+     */
+    async getGridState() {
+        return this.request('GET', '/grid');
+    }
+
+    /**
+     * Requests a tax-deductible receipt from the server
+     * The server fills in every detail from its own record, so only the transaction ID is sent
+     * @param {Object} receiptData - Receipt information; only transactionId is used
+     * @returns {Promise<Object>} Result with receipt details
+     */
+    async generateReceipt(receiptData) {
+        return this.request('POST', '/receipts', { transactionId: receiptData.transactionId });
+    }
+
+    /**
+     * Asks the server to email a receipt to the donor
+     * @param {string} email - Recipient email address
+     * @param {Object} receipt - Receipt data to send
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async sendReceiptEmail(email, receipt) {
+        return this.request('POST', '/receipts/email', { email, receipt });
+    }
+
+    /**
+     * Asks the server to email a lock expiry reminder to the donor
+     * @param {string} email - Recipient email address
+     * @param {Object} reminder - Reminder data (transactionId, squares, expiryTime, message)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async sendReminderEmail(email, reminder) {
+        return this.request('POST', '/reminders/email', { email, reminder });
+    }
+
+    /**
+     * Asks the server to hold squares while the donor checks out
+     * @param {Array<{x: number, y: number}>} squares - Squares to hold
+     * @returns {Promise<Object>} Result with reservationId and expiresAt, or the conflicting squares
+     */
+    async reserveSquares(squares) {
+        return this.request('POST', '/reservations', { squares });
+    }
+
+    /**
+     * Releases a reservation's holds on the server
+     * @param {string} reservationId - Reservation to release
+     * @returns {Promise<Object>} Result object
+     */
+    async releaseReservation(reservationId) {
+        return this.request('DELETE', `/reservations/${encodeURIComponent(reservationId)}`);
+    }
+
+    /**
+     * Sends color changes for owned squares to the server
+     * @param {string} transactionId - Transaction that owns the squares
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     * @returns {Promise<Object>} Result object with the squares that were updated
+     */
+    async updateSquareColors(transactionId, squares) {
+        return this.request('POST', '/squares/colors', { transactionId, squares });
+    }
+
+    /**
+     * Submits a lock renewal to the server
+     * @param {Object} renewalData - The renewal information (see BackendAdapter.renewLock)
+     * @returns {Promise<Object>} Result with the renewal's transaction details and new expiry times
+     */
+    async renewLock(renewalData) {
+        const { email } = renewalData;
+        if (!email || !this.isValidEmail(email)) {
+            return {
+                success: false,
+                error: 'Invalid email address'
+            };
+        }
+
+        return this.request('POST', '/renewals', renewalData);
+    }
+
+    /**
+     * Subscribes to the server's Server-Sent Events stream of grid changes
+     * After a dropped connection reconnects, a 'resync' event asks the caller to refetch the grid
+     * @param {Function} onEvent - Receives { type: 'claim' | 'color' | 'renew' | 'expire' | 'hold' | 'release' | 'resync', squares }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(onEvent) {
+        if (typeof EventSource === 'undefined') {
+            return () => {};
+        }
+
+        const source = new EventSource(`${this.baseUrl}/events`);
+        let disconnected = false;
+
+        ['claim', 'color', 'renew', 'expire', 'hold', 'release'].forEach(type => {
+            source.addEventListener(type, (e) => {
+                try {
+                    const { squares } = JSON.parse(e.data);
+                    onEvent({ type, squares });
+                } catch (err) {
+                    console.warn('Ignoring malformed live update:', err);
+                }
+            });
+        });
+
+        source.addEventListener('error', () => {
+            disconnected = true;
+        });
+
+        source.addEventListener('open', () => {
+            if (disconnected) {
+                disconnected = false;
+                onEvent({ type: 'resync', squares: [] });
+            }
+        });
+
+        return () => source.close();
+    }
+
+    /**
+     * Looks up the ownership record of a transaction on the server
+     * @param {string} transactionId - Unique transaction identifier
+     * @returns {Promise<Object>} Result object with the ownership record
+     */
+    async getOwnership(transactionId) {
+        return this.request('GET', `/ownership/${encodeURIComponent(transactionId)}`);
+    }
+}
@@ -1,23 +1,35 @@
 /**
- * Share Manager - Handles section sharing and image generation
+ * Share Manager - Handles section sharing, image generation and time-lapse export
  */
 
+import { trapFocus } from './focus-trap.js';
+import { ReplayState } from './grid-replay.js';
+import { GifEncoder } from './gif-encoder.js';
+
+const TIMELAPSE_MAX_SIZE = 600; // Longest side of an exported time-lapse, in pixels
+const TIMELAPSE_MAX_SQUARE = 20; // Pixels per square for small sections, as in the PNG
+const TIMELAPSE_FRAME_RATES = [5, 10, 15, 24];
+const TIMELAPSE_MAX_DURATION = 30; // Seconds
+
 export class ShareManager {
     /**
      * Creates a new ShareManager instance
      * @param {StateManager} stateManager - State management service
+     * @param {DeepLink} [deepLink] - Builds links that open on a section; without it shares use the page URL
      */
-    constructor(stateManager) {
+    constructor(stateManager, deepLink = null) {
         this.stateManager = stateManager;
+        this.deepLink = deepLink;
     }
 
     /**
      * Generates a canvas image of a section (group of squares)
      * @param {Array<{x: number, y: number, color: string}>} squares - Squares to render
-     * @param {number} squareSize - Size of each square in pixels
-     * @returns {HTMLCanvasElement} Canvas with rendered section
+     * @param {number} squareSize - Size of each square in CSS pixels
+     * @param {number} [pixelRatio] - Device pixels per CSS pixel; defaults to the screen's, so the image is sharp on high-DPI displays
+     * @returns {HTMLCanvasElement} Canvas with rendered section, styled to its CSS size
      */
-    generateSectionImage(squares, squareSize = 20) {
+    generateSectionImage(squares, squareSize = 20, pixelRatio = window.devicePixelRatio || 1) {
         if (!squares || squares.length === 0) {
             throw new Error('No squares to render');
         }
@@ -31,13 +43,18 @@ export class ShareManager {
         const height = bounds.maxY - bounds.minY + 1;
         const padding = 2;
 
+        const cssWidth = (width + padding * 2) * squareSize;
+        const cssHeight = (height + padding * 2) * squareSize;
+
         const canvas = document.createElement('canvas');
-        canvas.width = (width + padding * 2) * squareSize;
-        canvas.height = (height + padding * 2) * squareSize;
+        canvas.width = Math.round(cssWidth * pixelRatio);
+        canvas.height = Math.round(cssHeight * pixelRatio);
+        canvas.style.width = `${cssWidth}px`;
         const ctx = canvas.getContext('2d', { alpha: false });
+        ctx.scale(pixelRatio, pixelRatio);
 
         ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, cssWidth, cssHeight);
 
         squares.forEach(square => {
             const x = square.x - bounds.minX + padding;
@@ -72,6 +89,22 @@ export class ShareManager {
         });
     }
 
+    /**
+     * Saves a blob as a file through a temporary link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Downloads section as an image file
      * @param {string} transactionId - Transaction ID to download
@@ -86,15 +119,230 @@ export class ShareManager {
 
         const canvas = this.generateSectionImage(transaction.squares);
         const blob = await this.canvasToBlob(canvas);
-        
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `shield-section-${transactionId}.png`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        this.downloadBlob(blob, `shield-section-${transactionId}.png`);
+    }
+
+    /**
+     * Works out the grid area a time-lapse shows and how large each square is drawn
+     * @param {Array<{x: number, y: number}>} [squares] - Section to frame, with the same padding as the PNG; null for the whole grid
+     * @returns {{minX: number, minY: number, width: number, height: number, squareSize: number}} Area in squares and pixels per square
+     */
+    getTimelapseRegion(squares = null) {
+        const gridSize = this.stateManager.gridSize;
+        let region = { minX: 0, minY: 0, width: gridSize, height: gridSize };
+
+        if (squares && squares.length > 0) {
+            const bounds = this.stateManager.getSquaresBounds(squares);
+            const padding = 2;
+            const minX = Math.max(0, bounds.minX - padding);
+            const minY = Math.max(0, bounds.minY - padding);
+            region = {
+                minX,
+                minY,
+                width: Math.min(gridSize - 1, bounds.maxX + padding) - minX + 1,
+                height: Math.min(gridSize - 1, bounds.maxY + padding) - minY + 1
+            };
+        }
+
+        const squareSize = Math.max(1, Math.min(TIMELAPSE_MAX_SQUARE, Math.floor(TIMELAPSE_MAX_SIZE / Math.max(region.width, region.height))));
+        return { ...region, squareSize };
+    }
+
+    /**
+     * Picks the moments a time-lapse runs between: from just before the first change inside the area to the last change
+     * @param {Array<Object>} events - Event log, oldest first
+     * @param {Object} region - Area from getTimelapseRegion()
+     * @returns {{start: number, end: number}} Timestamps in milliseconds
+     */
+    getTimelapseSpan(events, region) {
+        const inRegion = ({ x, y }) => x >= region.minX && x < region.minX + region.width &&
+            y >= region.minY && y < region.minY + region.height;
+        const first = events.find(event => event.squares.some(inRegion)) || events[0];
+
+        const start = first.time - 1;
+        return { start, end: Math.max(start + 1, events[events.length - 1].time) };
+    }
+
+    /**
+     * Draws the replayed grid inside the time-lapse area
+     * @param {CanvasRenderingContext2D} ctx - Frame canvas context
+     * @param {ReplayState} replay - Grid at the frame's moment
+     * @param {Object} region - Area from getTimelapseRegion()
+     */
+    drawTimelapseFrame(ctx, replay, region) {
+        const { minX, minY, width, height, squareSize } = region;
+
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(0, 0, width * squareSize, height * squareSize);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const square = replay.getSquare(minX + x, minY + y);
+                if (square) {
+                    ctx.fillStyle = square.color;
+                    ctx.fillRect(x * squareSize, y * squareSize, squareSize, squareSize);
+                }
+            }
+        }
+
+        // Grid lines only where squares are large enough to tell apart; drawn on whole pixels to keep GIF colors exact
+        if (squareSize >= 6) {
+            ctx.fillStyle = '#e0e0e0';
+            for (let x = 0; x <= width; x++) {
+                ctx.fillRect(Math.min(x * squareSize, width * squareSize - 1), 0, 1, height * squareSize);
+            }
+            for (let y = 0; y <= height; y++) {
+                ctx.fillRect(0, Math.min(y * squareSize, height * squareSize - 1), width * squareSize, 1);
+            }
+        }
+    }
+
+    /**
+     * Renders a time-lapse of the grid's history from the StateManager event log
+     * @param {Object} [options] - Export options
+     * @param {string} [options.format='gif'] - 'gif' (animated GIF) or 'webm' (video, where MediaRecorder is supported)
+     * @param {Array<{x: number, y: number}>} [options.squares] - Section to show; null for the whole grid
+     * @param {number} [options.frameRate=10] - Frames per second: 5, 10, 15 or 24
+     * @param {number} [options.duration=5] - Length of the clip in seconds (1-30)
+     * @returns {Promise<Blob>} GIF or WebM file
+     */
+    async generateTimelapse({ format = 'gif', squares = null, frameRate = 10, duration = 5 } = {}) {
+        if (format !== 'gif' && format !== 'webm') {
+            throw new Error(`Unknown time-lapse format "${format}"`);
+        }
+        if (!TIMELAPSE_FRAME_RATES.includes(frameRate)) {
+            throw new Error(`Frame rate must be one of ${TIMELAPSE_FRAME_RATES.join(', ')}`);
+        }
+        if (!(duration >= 1 && duration <= TIMELAPSE_MAX_DURATION)) {
+            throw new Error(`Duration must be between 1 and ${TIMELAPSE_MAX_DURATION} seconds`);
+        }
+
+        const events = this.stateManager.getEvents();
+        if (events.length === 0) {
+            throw new Error('No grid history has been recorded yet');
+        }
+
+        const region = this.getTimelapseRegion(squares);
+        const { start, end } = this.getTimelapseSpan(events, region);
+        const frameCount = Math.max(2, Math.round(frameRate * duration));
+        const times = Array.from({ length: frameCount }, (_, i) => start + (end - start) * i / (frameCount - 1));
+
+        // Frames are drawn off screen from their own replay, so the live grid is untouched
+        const canvas = document.createElement('canvas');
+        canvas.width = region.width * region.squareSize;
+        canvas.height = region.height * region.squareSize;
+        const ctx = canvas.getContext('2d', { alpha: false, willReadFrequently: format === 'gif' });
+        const replay = new ReplayState(events);
+
+        if (format === 'gif') {
+            return this.encodeGif(canvas, ctx, replay, region, times, frameRate);
+        }
+        return this.recordWebm(canvas, ctx, replay, region, times, frameRate);
+    }
+
+    /**
+     * Encodes time-lapse frames as an animated GIF
+     * @param {HTMLCanvasElement} canvas - Frame canvas
+     * @param {CanvasRenderingContext2D} ctx - Frame canvas context
+     * @param {ReplayState} replay - Replay moved to each frame's moment
+     * @param {Object} region - Area from getTimelapseRegion()
+     * @param {Array<number>} times - Moment of each frame
+     * @param {number} frameRate - Frames per second
+     * @returns {Promise<Blob>} GIF file
+     */
+    async encodeGif(canvas, ctx, replay, region, times, frameRate) {
+        const encoder = new GifEncoder(canvas.width, canvas.height, { delay: Math.round(100 / frameRate) });
+
+        for (let i = 0; i < times.length; i++) {
+            replay.seek(times[i]);
+            this.drawTimelapseFrame(ctx, replay, region);
+            encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+
+            // Let the page repaint between batches of frames
+            if (i % 10 === 9) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    }
+
+    /**
+     * Records time-lapse frames as a WebM video; recording runs in real time, so it takes as long as the clip
+     * @param {HTMLCanvasElement} canvas - Frame canvas
+     * @param {CanvasRenderingContext2D} ctx - Frame canvas context
+     * @param {ReplayState} replay - Replay moved to each frame's moment
+     * @param {Object} region - Area from getTimelapseRegion()
+     * @param {Array<number>} times - Moment of each frame
+     * @param {number} frameRate - Frames per second
+     * @returns {Promise<Blob>} WebM file
+     */
+    async recordWebm(canvas, ctx, replay, region, times, frameRate) {
+        const mimeType = typeof MediaRecorder !== 'undefined' && canvas.captureStream
+            ? ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type))
+            : null;
+        if (!mimeType) {
+            throw new Error('WebM export is not supported in this browser');
+        }
+
+        // Draw the first frame before capture starts, so the video does not open on a blank canvas
+        replay.seek(times[0]);
+        this.drawTimelapseFrame(ctx, replay, region);
+
+        // Frames are pushed one by one where the browser allows it, otherwise sampled at the frame rate
+        let stream = canvas.captureStream(0);
+        let track = stream.getVideoTracks()[0];
+        if (typeof track.requestFrame !== 'function') {
+            track.stop();
+            stream = canvas.captureStream(frameRate);
+            track = stream.getVideoTracks()[0];
+        }
+
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        const stopped = new Promise((resolve, reject) => {
+            recorder.addEventListener('stop', resolve);
+            recorder.addEventListener('error', (e) => reject(e.error || new Error('Recording failed')));
+        });
+
+        recorder.start();
+        for (let i = 0; i < times.length; i++) {
+            if (i > 0) {
+                replay.seek(times[i]);
+                this.drawTimelapseFrame(ctx, replay, region);
+            }
+            if (track.requestFrame) {
+                track.requestFrame();
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000 / frameRate));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Downloads a time-lapse of a section or of the whole grid
+     * @param {string|null} transactionId - Section to show; null for the whole grid
+     * @param {Object} [options] - format, frameRate and duration (see generateTimelapse)
+     */
+    async downloadTimelapse(transactionId, options = {}) {
+        let squares = null;
+        if (transactionId) {
+            const transaction = this.stateManager.getTransactions().find(t => t.transactionId === transactionId);
+            if (!transaction) {
+                throw new Error('Transaction not found');
+            }
+            squares = transaction.squares;
+        }
+
+        const format = options.format || 'gif';
+        const blob = await this.generateTimelapse({ ...options, format, squares });
+        this.downloadBlob(blob, `shield-timelapse-${transactionId || 'grid'}.${format}`);
     }
 
     /**
@@ -114,6 +362,33 @@ export class ShareManager {
         return canvas.toDataURL('image/png');
     }
 
+    /**
+     * Builds the link shared for a section
+     * @param {Object} transaction - Transaction with transactionId and squares
+     * @returns {string} Link that opens on the section, or the donor's URL / the page without deep links
+     */
+    getSectionUrl(transaction) {
+        if (this.deepLink) {
+            return this.deepLink.getSectionUrl(transaction);
+        }
+        return transaction.url || window.location.href.split('?')[0];
+    }
+
+    /**
+     * Copies a link to the clipboard, falling back to a prompt the user can copy from
+     * @param {string} url - Link to copy
+     * @returns {Promise<boolean>} True if the clipboard was written
+     */
+    async copyLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            return true;
+        } catch (error) {
+            window.prompt('Copy this link:', url);
+            return false;
+        }
+    }
+
     /**
      * Opens social media share dialog
      * @param {string} platform - Social media platform ('twitter', 'facebook', 'linkedin')
@@ -127,8 +402,7 @@ export class ShareManager {
             throw new Error('Transaction not found');
         }
 
-        const baseUrl = window.location.href.split('?')[0];
-        const shareUrl = transaction.url || baseUrl;
+        const shareUrl = this.getSectionUrl(transaction);
         const text = `Check out my contribution to Shield of Athena! ${transaction.count} squares of collaborative pixel art. 🎨`;
 
         let socialUrl;
@@ -161,9 +435,9 @@ export class ShareManager {
         modal.className = 'share-modal';
         modal.innerHTML = `
             <div class="modal-overlay"></div>
-            <div class="modal-content share-modal-content">
+            <div class="modal-content share-modal-content" role="dialog" aria-modal="true" aria-labelledby="shareModalTitle">
                 <div class="modal-header">
-                    <h2>Share Your Section</h2>
+                    <h2 id="shareModalTitle">Share Your Section</h2>
                     <button class="close-btn" aria-label="Close">&times;</button>
                 </div>
                 
@@ -187,10 +461,48 @@ export class ShareManager {
                             </button>
                         </div>
                         
+                        <h3>Link</h3>
+                        <div class="share-link">
+                            <input type="text" class="share-link-input" readonly>
+                            <button class="btn btn-secondary btn-small" id="copyLinkBtn">🔗 Copy Link</button>
+                        </div>
+                        
                         <h3>Download Image</h3>
                         <button class="btn btn-primary btn-download" id="downloadBtn">
                             📥 Download PNG
                         </button>
+                        
+                        <h3>Time-Lapse</h3>
+                        <div class="timelapse-options">
+                            <label>
+                                Format
+                                <select id="timelapseFormat">
+                                    <option value="gif">Animated GIF</option>
+                                    <option value="webm">WebM video</option>
+                                </select>
+                            </label>
+                            <label>
+                                Area
+                                <select id="timelapseRegion">
+                                    <option value="section">This section</option>
+                                    <option value="grid">Whole grid</option>
+                                </select>
+                            </label>
+                            <label>
+                                Frame rate
+                                <select id="timelapseFrameRate">
+                                    ${TIMELAPSE_FRAME_RATES.map(rate => `<option value="${rate}"${rate === 10 ? ' selected' : ''}>${rate} fps</option>`).join('')}
+                                </select>
+                            </label>
+                            <label>
+                                Duration (s)
+                                <input type="number" id="timelapseDuration" min="1" max="${TIMELAPSE_MAX_DURATION}" value="5">
+                            </label>
+                        </div>
+                        <button class="btn btn-secondary btn-download" id="timelapseBtn">
+                            🎞 Export Time-Lapse
+                        </button>
+                        <p class="timelapse-status" role="status"></p>
                     </div>
                 </div>
             </div>
@@ -207,14 +519,34 @@ export class ShareManager {
             canvas.style.borderRadius = '4px';
             const preview = modal.querySelector('#sharePreview');
             preview.appendChild(canvas);
+            modal.querySelector('.share-link-input').value = this.getSectionUrl(transaction);
         }
 
         const closeBtn = modal.querySelector('.close-btn');
         const overlay = modal.querySelector('.modal-overlay');
         const socialButtons = modal.querySelectorAll('.btn-social');
         const downloadBtn = modal.querySelector('#downloadBtn');
+        const copyLinkBtn = modal.querySelector('#copyLinkBtn');
+        const linkInput = modal.querySelector('.share-link-input');
+        const timelapseBtn = modal.querySelector('#timelapseBtn');
+        const timelapseStatus = modal.querySelector('.timelapse-status');
+        const timelapseFormat = modal.querySelector('#timelapseFormat');
+
+        // WebM needs MediaRecorder and canvas capture
+        if (typeof MediaRecorder === 'undefined') {
+            timelapseFormat.querySelector('option[value="webm"]').disabled = true;
+        }
 
+        // Keep keyboard focus in the dialog until it closes
+        const releaseFocus = trapFocus(modal.querySelector('.modal-content'));
+        const escHandler = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
         const closeModal = () => {
+            document.removeEventListener('keydown', escHandler);
+            releaseFocus();
             modal.remove();
         };
 
@@ -232,6 +564,16 @@ export class ShareManager {
             });
         });
 
+        linkInput.addEventListener('focus', () => linkInput.select());
+        copyLinkBtn.addEventListener('click', async () => {
+            if (await this.copyLink(linkInput.value)) {
+                copyLinkBtn.textContent = '✓ Copied';
+                setTimeout(() => {
+                    copyLinkBtn.textContent = '🔗 Copy Link';
+                }, 1500);
+            }
+        });
+
         downloadBtn.addEventListener('click', async () => {
             try {
                 await this.downloadSection(transactionId);
@@ -240,12 +582,27 @@ export class ShareManager {
             }
         });
 
-        document.addEventListener('keydown', function escHandler(e) {
-            if (e.key === 'Escape') {
-                closeModal();
-                document.removeEventListener('keydown', escHandler);
+        timelapseBtn.addEventListener('click', async () => {
+            const format = timelapseFormat.value;
+            const duration = Number(modal.querySelector('#timelapseDuration').value);
+            timelapseBtn.disabled = true;
+            timelapseStatus.textContent = format === 'webm' ? `Recording (${duration}s)...` : 'Rendering frames...';
+            try {
+                await this.downloadTimelapse(modal.querySelector('#timelapseRegion').value === 'grid' ? null : transactionId, {
+                    format,
+                    frameRate: Number(modal.querySelector('#timelapseFrameRate').value),
+                    duration
+                });
+                timelapseStatus.textContent = '✓ Downloaded';
+            } catch (error) {
+                timelapseStatus.textContent = '';
+                alert('Failed to export time-lapse: ' + error.message);
+            } finally {
+                timelapseBtn.disabled = false;
             }
         });
+
+        document.addEventListener('keydown', escHandler);
     }
 }
 
@@ -3,11 +3,22 @@
  */
 
 import { StateManager } from './state-manager.js';
+import { createGridStorage, listCampaigns, deleteCampaign, DEFAULT_NAMESPACE } from './grid-storage.js';
+import { BackendAdapter } from './backend-adapter.js';
 import { MockAPI } from './api-mock.js';
+import { RestAPI } from './rest-api.js';
+import { LiveUpdates } from './live-updates.js';
 import { ReceiptGenerator } from './receipt-generator.js';
 import { GridRenderer } from './grid-renderer.js';
+import { Minimap } from './minimap.js';
+import { ReplayControls } from './grid-replay.js';
+import { DeepLink } from './deep-link.js';
+import { PaintHistory } from './paint-history.js';
 import { DonationModal } from './donation-modal.js';
 import { ShareManager } from './share-manager.js';
+import { ImageImporter } from './image-import.js';
+import { LockRenewal } from './lock-renewal.js';
+import { ExpiryNotifier } from './expiry-notifier.js';
 import { Leaderboard } from './leaderboard.js';
 
 class ShieldCanvasComponent {
@@ -17,6 +28,7 @@ class ShieldCanvasComponent {
      */
     constructor() {
         this.instances = new Map();
+        this.activeWrapper = null; // Grid last interacted with, which receives keyboard shortcuts
     }
 
     /**
@@ -26,6 +38,15 @@ class ShieldCanvasComponent {
      * @param {number} [options.gridSize=250] - Grid size (squares per side)
      * @param {number} [options.squarePrice=0.07] - Price per square in dollars
      * @param {number} [options.lockDuration=604800000] - Lock duration in milliseconds (default: 7 days)
+     * @param {number} [options.gracePeriod=0] - Time after a lock lapses during which the square stays faded and cannot be bought, in milliseconds
+     * @param {number} [options.eventLimit=0] - Cap on the replay event log; older events are folded into a snapshot (0 keeps the full history)
+     * @param {string|BackendAdapter} [options.backend='mock'] - 'mock', 'rest', or a BackendAdapter instance
+     * @param {string} [options.apiBaseUrl='/api'] - Server base URL used by the 'rest' backend
+     * @param {string} [options.namespace='default'] - Campaign id scoping stored data, so several grids can share a page or domain
+     * @param {boolean} [options.deepLinks=true] - Keep the view in the URL hash and share links to it; enable on one grid per page
+     * @param {Array<number>} [options.alertThresholds=[86400000, 3600000]] - Time before a lock lapses, in milliseconds, at which owners are alerted; [] turns alerts off
+     * @param {boolean} [options.browserNotifications=false] - Offer system notifications alongside the in-app alerts
+     * @param {boolean} [options.reminderEmails=true] - Queue a reminder email to the donor at each alert
      * @returns {Object|null} Instance object or null if container not found
      */
     init(containerId, options = {}) {
@@ -39,9 +60,29 @@ class ShieldCanvasComponent {
         const config = {
             gridSize: options.gridSize || 250,
             squarePrice: options.squarePrice || 0.07,
-            lockDuration: options.lockDuration || (7 * 24 * 60 * 60 * 1000)
+            lockDuration: options.lockDuration || (7 * 24 * 60 * 60 * 1000),
+            gracePeriod: options.gracePeriod || 0,
+            eventLimit: options.eventLimit || 0,
+            backend: options.backend || 'mock',
+            apiBaseUrl: options.apiBaseUrl || '/api',
+            namespace: options.namespace || DEFAULT_NAMESPACE,
+            deepLinks: options.deepLinks !== false,
+            alertThresholds: options.alertThresholds || [24 * 60 * 60 * 1000, 60 * 60 * 1000],
+            browserNotifications: options.browserNotifications === true,
+            reminderEmails: options.reminderEmails !== false
         };
 
+        if (!/^[\w-]+$/.test(config.namespace)) {
+            console.error(`Invalid namespace "${config.namespace}": use letters, digits, "_" and "-"`);
+            return null;
+        }
+
+        const stateManager = new StateManager(config.gridSize, config.lockDuration, createGridStorage(config.namespace), config.gracePeriod, config.eventLimit);
+        const api = this.createBackend(config, stateManager);
+        if (!api) {
+            return null;
+        }
+
         // Create main layout
         const mainLayout = document.createElement('div');
         mainLayout.className = 'shield-main-layout';
@@ -58,44 +99,121 @@ class ShieldCanvasComponent {
         mainLayout.appendChild(leaderboardContainer);
 
         // Initialize modules
-        const stateManager = new StateManager(config.gridSize, config.lockDuration);
-        const mockAPI = new MockAPI();
         const receiptGenerator = new ReceiptGenerator();
-        const gridRenderer = new GridRenderer(wrapper, config.gridSize, stateManager);
-        const donationModal = new DonationModal(config.squarePrice, mockAPI, receiptGenerator, stateManager);
-        const shareManager = new ShareManager(stateManager);
+        const paintHistory = new PaintHistory(stateManager, config.namespace);
+        const gridRenderer = new GridRenderer(wrapper, config.gridSize, stateManager, paintHistory);
+        const minimap = new Minimap(wrapper, gridRenderer);
+        const replayControls = new ReplayControls(wrapper, gridRenderer, stateManager);
+        const donationModal = new DonationModal(config.squarePrice, api, receiptGenerator, stateManager);
+        const deepLink = config.deepLinks ? new DeepLink(gridRenderer, stateManager, api, config.namespace) : null;
+        const shareManager = new ShareManager(stateManager, deepLink);
+        const imageImporter = new ImageImporter(stateManager, gridRenderer);
+        const lockRenewal = new LockRenewal(config.squarePrice, api, receiptGenerator, stateManager);
+        const expiryNotifier = new ExpiryNotifier(wrapper, stateManager, api, {
+            namespace: config.namespace,
+            thresholds: config.alertThresholds,
+            browserNotifications: config.browserNotifications,
+            reminderEmails: config.reminderEmails,
+            onExtend: (transaction) => {
+                lockRenewal.show((shown) => {
+                    lockRenewal.hide();
+                    gridRenderer.zoomToBounds(stateManager.getSquaresBounds(shown.squares));
+                });
+                lockRenewal.showForm(transaction);
+            }
+        });
         const leaderboard = new Leaderboard(leaderboardContainer, stateManager);
+        const liveUpdates = new LiveUpdates(api, stateManager);
+
+        // Teardown functions for timers and listeners owned by this instance
+        const cleanups = [];
 
         // Create control panel
-        const controlPanel = this.createControlPanel(wrapper, gridRenderer, donationModal, stateManager, shareManager);
+        const controlPanel = this.createControlPanel(wrapper, gridRenderer, donationModal, stateManager, shareManager, imageImporter, lockRenewal, replayControls, cleanups);
 
-        // Start cleanup timer
+        // Start cleanup timer and keep other tabs of this page in sync
         stateManager.startCleanupTimer();
+        stateManager.startCrossTabSync();
 
         // Listen to state changes
-        stateManager.addListener(() => {
-            gridRenderer.requestRedraw();
+        const redraw = () => gridRenderer.requestRedraw();
+        stateManager.addListener(redraw);
+        cleanups.push(() => stateManager.removeListener(redraw));
+
+        // Pull the shared grid from the backend (null means local state is authoritative)
+        api.getGridState().then(result => {
+            if (result.success && result.grid) {
+                stateManager.loadServerGrid(result.grid);
+                stateManager.setHolds(result.holds || []);
+            } else if (!result.success) {
+                console.warn('Failed to load grid from backend:', result.error);
+            }
         });
 
+        // Stream other viewers' claims, repaints and expiries
+        liveUpdates.start();
+
+        // Warn before the user's own locks lapse
+        expiryNotifier.start();
+
+        // Open on the spot a shared link points at, and keep the URL following the view
+        if (deepLink) {
+            deepLink.start();
+        }
+
         // Store instance
         const instance = {
             container,
+            mainLayout,
             wrapper,
             config,
             stateManager,
-            mockAPI,
+            api,
+            paintHistory,
             receiptGenerator,
             gridRenderer,
+            minimap,
+            replayControls,
+            deepLink,
             donationModal,
             shareManager,
+            imageImporter,
+            lockRenewal,
+            expiryNotifier,
             leaderboard,
-            controlPanel
+            liveUpdates,
+            controlPanel,
+            cleanups
         };
 
         this.instances.set(containerId, instance);
         return instance;
     }
 
+    /**
+     * Creates the backend adapter selected by the configuration
+     * @param {Object} config - Instance configuration
+     * @param {string|BackendAdapter} config.backend - 'mock', 'rest', or a BackendAdapter instance
+     * @param {string} config.apiBaseUrl - Server base URL used by the 'rest' backend
+     * @param {StateManager} stateManager - Local state the mock backend checks availability against
+     * @returns {BackendAdapter|null} Backend adapter or null if the backend is unknown
+     */
+    createBackend(config, stateManager) {
+        if (config.backend instanceof BackendAdapter) {
+            return config.backend;
+        }
+
+        switch (config.backend) {
+            case 'mock':
+                return new MockAPI(stateManager);
+            case 'rest':
+                return new RestAPI(config.apiBaseUrl);
+            default:
+                console.error(`Unknown backend "${config.backend}"`);
+                return null;
+        }
+    }
+
     /**
      * Creates the control panel UI with buttons and controls
      * @param {HTMLElement} wrapper - Wrapper element to append panel to
@@ -103,9 +221,13 @@ class ShieldCanvasComponent {
      * @param {DonationModal} donationModal - Donation modal instance
      * @param {StateManager} stateManager - State manager instance
      * @param {ShareManager} shareManager - Share manager instance
+     * @param {ImageImporter} imageImporter - Image import panel for the user's sections
+     * @param {LockRenewal} lockRenewal - Renewal dialog for the user's locks
+     * @param {ReplayControls} replayControls - Time-lapse replay of the grid's history
+     * @param {Array<Function>} cleanups - Receives teardown functions for the panel's timers
      * @returns {HTMLElement} Control panel element
      */
-    createControlPanel(wrapper, gridRenderer, donationModal, stateManager, shareManager) {
+    createControlPanel(wrapper, gridRenderer, donationModal, stateManager, shareManager, imageImporter, lockRenewal, replayControls, cleanups) {
         const panel = document.createElement('div');
         panel.className = 'control-panel';
         panel.innerHTML = `
@@ -116,21 +238,42 @@ class ShieldCanvasComponent {
                 <button class="btn btn-secondary" id="clearSelectionBtn" disabled>
                     Clear Selection
                 </button>
+                <div class="selection-tools" title="Shift: add to selection, Alt: subtract">
+                    <button type="button" class="selection-tool-btn active" data-tool="rectangle" title="Rectangle select">▭</button>
+                    <button type="button" class="selection-tool-btn" data-tool="ellipse" title="Ellipse select">⬭</button>
+                    <button type="button" class="selection-tool-btn" data-tool="circle" title="Circle select">◯</button>
+                    <button type="button" class="selection-tool-btn" data-tool="lasso" title="Lasso select">➰</button>
+                    <button type="button" class="selection-tool-btn" data-tool="wand" title="Magic wand: connected available squares">🪄</button>
+                </div>
             </div>
             <div class="control-group">
                 <button class="btn btn-icon" id="zoomInBtn" title="Zoom In">+</button>
                 <button class="btn btn-icon" id="zoomOutBtn" title="Zoom Out">-</button>
                 <button class="btn btn-icon" id="centerBtn" title="Center View">⌖</button>
+                <button class="btn btn-icon" id="copyViewLinkBtn" title="Copy link to this view">🔗</button>
+                <button class="btn btn-small" id="replayBtn" title="Replay the grid's history as a time-lapse">🎞 Replay</button>
             </div>
             <div class="control-group">
                 <button class="btn btn-icon" id="prevTransactionBtn" title="Previous Transaction" disabled>◀</button>
                 <span id="transactionPosition" class="position-indicator">-</span>
                 <button class="btn btn-icon" id="nextTransactionBtn" title="Next Transaction" disabled>▶</button>
                 <button class="btn btn-small" id="shareBtn" title="Share Section" disabled>📤 Share</button>
+                <button class="btn btn-small" id="importImageBtn" title="Import an image onto this section" disabled>🖼 Image</button>
+                <button class="btn btn-small" id="extendLockBtn" title="Extend the lock on your sections before it lapses" disabled>⏳ Extend</button>
             </div>
             <div class="control-group">
                 <button class="btn btn-small" id="paintModeBtn" class="paint-mode-btn">🖌 Paint Mode</button>
+                <button class="btn btn-icon" id="undoBtn" title="Undo (Ctrl+Z)" disabled>↶</button>
+                <button class="btn btn-icon" id="redoBtn" title="Redo (Ctrl+Shift+Z)" disabled>↷</button>
                 <div id="paintColorPicker" class="paint-color-picker" style="display: none;">
+                    <div class="paint-tools">
+                        <button type="button" class="paint-tool-btn active" data-tool="brush" title="Brush">🖌</button>
+                        <button type="button" class="paint-tool-btn" data-tool="line" title="Line">╱</button>
+                        <button type="button" class="paint-tool-btn" data-tool="rectangle" title="Rectangle outline">▭</button>
+                        <button type="button" class="paint-tool-btn" data-tool="filled-rectangle" title="Filled rectangle">■</button>
+                        <button type="button" class="paint-tool-btn" data-tool="fill" title="Fill connected squares of the same color">🪣</button>
+                        <button type="button" class="paint-tool-btn" data-tool="eyedropper" title="Pick color from any square">💧</button>
+                    </div>
                     <input type="color" id="paintColor" value="#4CAF50" title="Paint Color">
                     <div class="color-presets-inline">
                         <button type="button" class="color-preset-small" data-color="#FF0000" style="background: #FF0000;" title="Red"></button>
@@ -151,7 +294,7 @@ class ShieldCanvasComponent {
         wrapper.appendChild(panel);
 
         // Attach event listeners
-        this.attachControlListeners(panel, gridRenderer, donationModal, stateManager, shareManager);
+        this.attachControlListeners(panel, gridRenderer, donationModal, stateManager, shareManager, imageImporter, lockRenewal, replayControls, cleanups);
 
         return panel;
     }
@@ -164,24 +307,37 @@ class ShieldCanvasComponent {
      * @param {DonationModal} donationModal - Donation modal instance
      * @param {StateManager} stateManager - State manager instance
      * @param {ShareManager} shareManager - Share manager instance
+     * @param {ImageImporter} imageImporter - Image import panel for the user's sections
+     * @param {LockRenewal} lockRenewal - Renewal dialog for the user's locks
+     * @param {ReplayControls} replayControls - Time-lapse replay of the grid's history
+     * @param {Array<Function>} cleanups - Receives teardown functions for timers and document listeners
      */
-    attachControlListeners(panel, gridRenderer, donationModal, stateManager, shareManager) {
+    attachControlListeners(panel, gridRenderer, donationModal, stateManager, shareManager, imageImporter, lockRenewal, replayControls, cleanups) {
         const donateBtn = panel.querySelector('#donateBtn');
         const clearSelectionBtn = panel.querySelector('#clearSelectionBtn');
         const selectedCountSpan = panel.querySelector('#selectedCount');
         const zoomInBtn = panel.querySelector('#zoomInBtn');
         const zoomOutBtn = panel.querySelector('#zoomOutBtn');
         const centerBtn = panel.querySelector('#centerBtn');
+        const copyViewLinkBtn = panel.querySelector('#copyViewLinkBtn');
+        const replayBtn = panel.querySelector('#replayBtn');
         const prevTransactionBtn = panel.querySelector('#prevTransactionBtn');
         const nextTransactionBtn = panel.querySelector('#nextTransactionBtn');
         const transactionPositionSpan = panel.querySelector('#transactionPosition');
         const shareBtn = panel.querySelector('#shareBtn');
+        const importImageBtn = panel.querySelector('#importImageBtn');
+        const extendLockBtn = panel.querySelector('#extendLockBtn');
         const paintModeBtn = panel.querySelector('#paintModeBtn');
         const paintColorPickerDiv = panel.querySelector('#paintColorPicker');
         const paintColorInput = panel.querySelector('#paintColor');
         const colorPresetsInline = panel.querySelectorAll('.color-preset-small');
+        const paintToolBtns = panel.querySelectorAll('.paint-tool-btn');
+        const selectionToolBtns = panel.querySelectorAll('.selection-tool-btn');
         const eraserBtn = panel.querySelector('#eraserBtn');
         const clearMySquaresBtn = panel.querySelector('#clearMySquaresBtn');
+        const undoBtn = panel.querySelector('#undoBtn');
+        const redoBtn = panel.querySelector('#redoBtn');
+        const paintHistory = gridRenderer.paintHistory;
         
         // Navigation state
         let currentTransactionIndex = 0;
@@ -196,15 +352,20 @@ class ShieldCanvasComponent {
             const hasTransactions = transactions.length > 0;
             
             donateBtn.disabled = !hasSelection;
-            clearSelectionBtn.disabled = !hasSelection;
+            // Also clears the outline of a section opened from a shared link
+            clearSelectionBtn.disabled = !hasSelection && gridRenderer.highlightedSquares.size === 0;
             selectedCountSpan.textContent = selectedSquares.length;
             
             // Update navigation buttons
             prevTransactionBtn.disabled = !hasTransactions;
             nextTransactionBtn.disabled = !hasTransactions;
             shareBtn.disabled = !hasTransactions;
+            importImageBtn.disabled = !hasTransactions;
+            extendLockBtn.disabled = !hasTransactions;
             clearMySquaresBtn.disabled = !hasTransactions;
             paintModeBtn.disabled = !hasTransactions;
+            undoBtn.disabled = !paintHistory.canUndo();
+            redoBtn.disabled = !paintHistory.canRedo();
             
             // Update position indicator
             if (hasTransactions) {
@@ -225,7 +386,8 @@ class ShieldCanvasComponent {
         };
 
         // Watch for selection changes
-        setInterval(updateButtonStates, 100);
+        const buttonStateTimer = setInterval(updateButtonStates, 100);
+        cleanups.push(() => clearInterval(buttonStateTimer));
 
         // Donate button
         donateBtn.addEventListener('click', () => {
@@ -236,6 +398,14 @@ class ShieldCanvasComponent {
                         gridRenderer.clearSelection();
                         updateButtonStates();
                     }
+                }, (rejectedSquares) => {
+                    // Pre-select the nearest free squares so the donor can review and donate again
+                    const replacements = stateManager.findReplacementSquares(rejectedSquares, selectedSquares);
+                    gridRenderer.setSelection(replacements);
+                    updateButtonStates();
+                    if (replacements.length < rejectedSquares.length) {
+                        alert(`Only ${replacements.length} replacement square(s) are available.`);
+                    }
                 });
             }
         });
@@ -243,6 +413,9 @@ class ShieldCanvasComponent {
         // Clear selection button
         clearSelectionBtn.addEventListener('click', () => {
             gridRenderer.clearSelection();
+            if (shareManager.deepLink) {
+                shareManager.deepLink.clearHighlight();
+            }
             updateButtonStates();
         });
 
@@ -267,6 +440,21 @@ class ShieldCanvasComponent {
             gridRenderer.centerView();
         });
 
+        // Copy a link that opens on the current view
+        const deepLink = shareManager.deepLink;
+        if (deepLink) {
+            copyViewLinkBtn.addEventListener('click', async () => {
+                if (await shareManager.copyLink(deepLink.getViewUrl())) {
+                    copyViewLinkBtn.textContent = '✓';
+                    setTimeout(() => {
+                        copyViewLinkBtn.textContent = '🔗';
+                    }, 1500);
+                }
+            });
+        } else {
+            copyViewLinkBtn.remove();
+        }
+
         // Navigation helper function for transactions
         const navigateToTransaction = (index) => {
             const transactions = stateManager.getTransactions();
@@ -278,34 +466,11 @@ class ShieldCanvasComponent {
             
             currentTransactionIndex = index;
             const transaction = transactions[index];
-            const squares = transaction.squares;
             
-            // Get bounding box for all squares in transaction
-            const bounds = stateManager.getSquaresBounds(squares);
+            // Zoom to fit all squares in the transaction
+            const bounds = stateManager.getSquaresBounds(transaction.squares);
             if (!bounds) return;
-            
-            // Calculate center and appropriate scale
-            const centerGridX = (bounds.minX + bounds.maxX) / 2;
-            const centerGridY = (bounds.minY + bounds.maxY) / 2;
-            const width = bounds.maxX - bounds.minX + 1;
-            const height = bounds.maxY - bounds.minY + 1;
-            const maxDimension = Math.max(width, height);
-            
-            // Zoom to fit all squares with padding
-            const padding = 5;
-            const scaleX = gridRenderer.canvas.width / ((maxDimension + padding * 2) * gridRenderer.squareSize);
-            const scaleY = gridRenderer.canvas.height / ((maxDimension + padding * 2) * gridRenderer.squareSize);
-            const targetScale = Math.min(scaleX, scaleY, 4.0); // Cap at 4x
-            
-            gridRenderer.scale = Math.max(0.5, targetScale);
-            
-            // Center on the group
-            const centerX = (gridRenderer.canvas.width / 2) - (centerGridX * gridRenderer.squareSize * gridRenderer.scale);
-            const centerY = (gridRenderer.canvas.height / 2) - (centerGridY * gridRenderer.squareSize * gridRenderer.scale);
-            gridRenderer.offsetX = centerX;
-            gridRenderer.offsetY = centerY;
-            
-            gridRenderer.requestRedraw();
+            gridRenderer.zoomToBounds(bounds);
             updateButtonStates();
         };
 
@@ -328,6 +493,38 @@ class ShieldCanvasComponent {
             }
         });
 
+        // Import image button - previews the picture over the current section
+        importImageBtn.addEventListener('click', () => {
+            const transactions = stateManager.getTransactions();
+            if (transactions.length === 0) return;
+
+            navigateToTransaction(currentTransactionIndex);
+            imageImporter.show(transactions[currentTransactionIndex], (changed) => {
+                if (changed === 0) {
+                    alert('No squares were changed. The image may be transparent over your section.');
+                }
+            });
+        });
+        cleanups.push(() => imageImporter.hide());
+
+        // Replay button - swaps the grid for its history until the replay panel is closed
+        replayBtn.addEventListener('click', () => {
+            if (!replayControls.show()) {
+                alert('No grid history has been recorded yet.');
+            }
+        });
+        cleanups.push(() => replayControls.hide());
+
+        // Extend lock button - lists the user's sections with their remaining lock time
+        extendLockBtn.addEventListener('click', () => {
+            lockRenewal.show((transaction) => {
+                const index = stateManager.getTransactions().findIndex(t => t.transactionId === transaction.transactionId);
+                if (index === -1) return;
+                lockRenewal.hide();
+                navigateToTransaction(index);
+            });
+        });
+
         // Paint mode toggle
         paintModeBtn.addEventListener('click', () => {
             isPaintMode = !isPaintMode;
@@ -368,6 +565,42 @@ class ShieldCanvasComponent {
             });
         });
 
+        // Selection tool buttons
+        selectionToolBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const tool = btn.getAttribute('data-tool');
+                gridRenderer.setSelectionTool(tool);
+                selectionToolBtns.forEach(other => {
+                    other.classList.toggle('active', other === btn);
+                });
+            });
+        });
+
+        // Paint tool buttons
+        let previousTool = 'brush';
+        const selectTool = (tool) => {
+            if (tool === 'eyedropper' && gridRenderer.paintTool !== 'eyedropper') {
+                previousTool = gridRenderer.paintTool;
+            }
+            gridRenderer.setPaintTool(tool);
+            paintToolBtns.forEach(btn => {
+                btn.classList.toggle('active', btn.getAttribute('data-tool') === tool);
+            });
+        };
+        paintToolBtns.forEach(btn => {
+            btn.addEventListener('click', () => selectTool(btn.getAttribute('data-tool')));
+        });
+
+        // Eyedropper: take the sampled color and go back to the previous tool
+        gridRenderer.onColorPicked = (color) => {
+            paintColorInput.value = /^#[0-9a-f]{3}$/i.test(color) ? color.replace(/[0-9a-f]/gi, c => c + c) : color;
+            isEraser = false;
+            eraserBtn.classList.remove('active');
+            gridRenderer.setEraseMode(false);
+            gridRenderer.setPaintColor(paintColorInput.value);
+            selectTool(previousTool);
+        };
+
         // Eraser button
         eraserBtn.addEventListener('click', () => {
             isEraser = !isEraser;
@@ -381,6 +614,51 @@ class ShieldCanvasComponent {
             }
         });
 
+        // Undo/redo paint strokes
+        const undo = () => {
+            if (paintHistory.undo() > 0) gridRenderer.requestRedraw();
+            updateButtonStates();
+        };
+        const redo = () => {
+            if (paintHistory.redo() > 0) gridRenderer.requestRedraw();
+            updateButtonStates();
+        };
+        undoBtn.addEventListener('click', undo);
+        redoBtn.addEventListener('click', redo);
+
+        // Keyboard shortcuts go to the grid the user last worked in
+        const wrapper = panel.parentElement;
+        if (!this.activeWrapper) {
+            this.activeWrapper = wrapper;
+        }
+        const markActive = () => {
+            this.activeWrapper = wrapper;
+        };
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || this.activeWrapper !== wrapper) return;
+            // Strokes undone during a replay would change the live grid out of sight
+            if (replayControls.isActive()) return;
+            // Leave text fields to their own undo
+            if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"], .donation-modal')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        wrapper.addEventListener('pointerdown', markActive);
+        document.addEventListener('keydown', handleKeyDown);
+        cleanups.push(() => {
+            document.removeEventListener('keydown', handleKeyDown);
+            if (this.activeWrapper === wrapper) {
+                this.activeWrapper = null;
+            }
+        });
+
         // Clear my squares button
         clearMySquaresBtn.addEventListener('click', () => {
             const ownedSquares = stateManager.getOwnedSquares();
@@ -392,9 +670,9 @@ class ShieldCanvasComponent {
                     stateManager.removeSquare(square.x, square.y);
                 });
                 
-                // Clear ownership data
-                stateManager.ownership = {};
-                stateManager.saveOwnership();
+                // Clear ownership data and the paint strokes that referred to it
+                stateManager.clearOwnership();
+                paintHistory.clear();
                 
                 // Reset navigation and paint mode
                 currentTransactionIndex = 0;
@@ -416,16 +694,55 @@ class ShieldCanvasComponent {
     destroy(containerId) {
         const instance = this.instances.get(containerId);
         if (instance) {
-            instance.stateManager.stopCleanupTimer();
+            instance.cleanups.forEach(cleanup => cleanup());
+            instance.liveUpdates.stop();
+            instance.stateManager.destroy();
+            instance.donationModal.hide();
+            instance.lockRenewal.hide();
+            instance.expiryNotifier.destroy();
+            instance.minimap.destroy();
+            if (instance.deepLink) {
+                instance.deepLink.destroy();
+            }
             instance.gridRenderer.destroy();
             if (instance.leaderboard) {
                 instance.leaderboard.destroy();
             }
-            instance.wrapper.remove();
+            instance.mainLayout.remove();
             this.instances.delete(containerId);
         }
     }
 
+    /**
+     * Lists campaigns with grid data stored in this browser
+     * @returns {Promise<Array<string>>} Campaign namespaces
+     */
+    listCampaigns() {
+        return listCampaigns();
+    }
+
+    /**
+     * Deletes a campaign's stored grid and ownership data
+     * Campaigns shown by a live instance must be destroyed first
+     * @param {string} namespace - Campaign namespace
+     * @returns {Promise<boolean>} True if the data was deleted
+     */
+    async deleteCampaign(namespace) {
+        const inUse = Array.from(this.instances.values()).some(instance => instance.config.namespace === namespace);
+        if (inUse) {
+            console.error(`Campaign "${namespace}" is in use; destroy its instance first`);
+            return false;
+        }
+
+        try {
+            await deleteCampaign(namespace);
+            return true;
+        } catch (e) {
+            console.error(`Failed to delete campaign "${namespace}":`, e);
+            return false;
+        }
+    }
+
     /**
      * Retrieves a canvas instance by container ID
      * @param {string} containerId - DOM element ID of the instance
@@ -2,79 +2,334 @@
  * State Manager - Handles grid state, persistence, and expiry logic
  */
 
+import { createGridStorage, LocalGridStorage } from './grid-storage.js';
+import { createExport, parseExport } from './export-format.js';
+
+const ARCHIVE_LIMIT = 50; // Past ownerships kept per square
+const STROKE_WINDOW = 1000; // Color changes closer together than this are logged as one stroke, in milliseconds
+
 export class StateManager {
     /**
      * Creates a new StateManager for grid persistence and expiry logic
      * @param {number} gridSize - Size of the grid (squares per side)
      * @param {number} lockDuration - Duration squares remain locked in milliseconds
+     * @param {IndexedDBGridStorage|LocalGridStorage} [storage] - Persistence backend, scoped to one campaign (IndexedDB when available)
+     * @param {number} [gracePeriod=0] - Time after a lock lapses during which the square stays, faded and not yet purchasable, in milliseconds
+     * @param {number} [eventLimit=0] - Logged events kept before the oldest half is folded into a snapshot; 0 keeps the full history
      */
-    constructor(gridSize, lockDuration) {
+    constructor(gridSize, lockDuration, storage = createGridStorage(), gracePeriod = 0, eventLimit = 0) {
         this.gridSize = gridSize;
         this.lockDuration = lockDuration;
-        this.storageKey = 'shield-of-athena-grid';
-        this.ownershipKey = 'shield-of-athena-ownership';
-        this.grid = this.loadState();
-        this.ownership = this.loadOwnership();
+        this.gracePeriod = gracePeriod;
+        this.eventLimit = eventLimit;
+        this.storage = storage;
         this.listeners = [];
+        // Keys changed since the last save, merged into whatever other tabs have stored
+        this.dirtyKeys = new Set();
+        this.dirtyTransactions = new Set();
+        this.dirtyArchiveKeys = new Set();
+        this.dirtyEventIds = new Set();
+        this.replaceGridOnSave = false;
+        this.replaceOwnershipOnSave = false;
+        this.grid = {};
+        this.ownership = {};
+        this.archive = {}; // "x,y" -> past ownerships of the square, oldest first
+        this.events = {}; // eventId -> { id, time, type, squares }, append-only log of grid changes
+        this.lastStroke = null; // { id, at } of the color event still open to further changes
+        this.loaded = false;
+        this.unsubscribeStorage = null;
+        // "x,y" -> transactionId, so per-square ownership lookups don't scan every transaction
+        this.ownershipIndex = new Map();
+        this.ownedCount = null; // Cached number of owned squares still on the grid
+        this.rebuildOwnershipIndex();
+        // Checkout holds are short-lived and never persisted
+        this.holds = {}; // "x,y" -> { expiresAt }
+        this.ownReservation = null; // { reservationId, keys: Set<string> }
+        this.handleStoredChange = this.handleStoredChange.bind(this);
+        // Storage is asynchronous; listeners get a fullRefresh once stored data is in
+        this.ready = this.loadState();
     }
 
     /**
-     * Loads grid state from localStorage or initializes empty grid
-     * Automatically cleans expired squares
-     * @returns {Object} Grid state object with square data keyed by "x,y"
+     * Loads grid, ownership, archive and event data from storage
+     * Changes made before loading finished win over the stored copy; expired squares are archived
+     * @returns {Promise<void>} Resolves once stored data has been applied
      */
-    loadState() {
+    async loadState() {
+        let stored = { grid: {}, ownership: {}, archive: {}, events: {} };
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                const grid = JSON.parse(stored);
-                this.cleanExpiredSquares(grid);
-                return grid;
-            }
+            stored = await this.storage.load();
         } catch (e) {
-            console.warn('Failed to load state:', e);
+            if (this.storage instanceof LocalGridStorage) {
+                console.warn('Failed to load state:', e);
+            } else {
+                // IndexedDB can be blocked (e.g. private browsing); keep working from localStorage
+                console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+                this.storage = new LocalGridStorage(this.storage.prefix);
+                stored = await this.storage.load().catch(() => stored);
+            }
+        }
+
+        if (!this.replaceGridOnSave) {
+            const grid = stored.grid;
+            this.dirtyKeys.forEach(key => {
+                if (this.grid[key]) {
+                    grid[key] = this.grid[key];
+                } else {
+                    delete grid[key];
+                }
+            });
+            this.grid = grid;
+        }
+        if (!this.replaceOwnershipOnSave) {
+            this.ownership = { ...stored.ownership, ...this.ownership };
+        }
+        this.archive = { ...(stored.archive || {}), ...this.archive };
+        const recorded = Object.keys(this.events).length > 0;
+        this.events = { ...(stored.events || {}), ...this.events };
+        this.loaded = true;
+
+        this.rebuildOwnershipIndex();
+        if (this.replaceGridOnSave) {
+            // The server grid arrived first; release squares claimed by someone else meanwhile
+            this.releaseReplacedSquares(stored.grid);
         }
-        return {};
+        // Records saved before squares were released on removal may still list them
+        this.releaseSquares([...this.ownershipIndex.keys()].filter(key => !this.grid[key]));
+        if (!recorded && Object.keys(this.events).length === 0) {
+            this.seedEvents();
+        }
+        this.compactEvents();
+        this.cleanExpiredSquares(this.grid);
+        this.saveState();
+        this.saveOwnership();
+        this.notifyListeners({ fullRefresh: true, leaderboardUpdate: true });
     }
 
     /**
-     * Persists current grid state to localStorage
+     * Persists grid changes
+     * Only squares changed by this tab are written, so purchases made in another tab
+     * since our last save are kept
      */
     saveState() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.grid));
-        } catch (e) {
-            console.error('Failed to save state:', e);
+        if (!this.loaded) return; // Written once loading finishes
+
+        let write;
+        if (this.replaceGridOnSave) {
+            write = this.storage.replaceAll('grid', { ...this.grid });
+        } else if (this.dirtyKeys.size > 0) {
+            const entries = {};
+            this.dirtyKeys.forEach(key => {
+                entries[key] = this.grid[key] || null;
+            });
+            write = this.storage.saveEntries('grid', entries);
+        }
+        this.dirtyKeys.clear();
+        this.replaceGridOnSave = false;
+
+        if (write) {
+            write.catch(e => console.error('Failed to save state:', e));
         }
+        this.saveArchive();
+        this.saveEvents();
     }
 
     /**
-     * Loads ownership tracking data from localStorage
-     * @returns {Object} Ownership data keyed by transaction ID
+     * Persists squares archived since the last save
+     * Written with the grid, since squares are archived as they leave it
      */
-    loadOwnership() {
-        try {
-            const stored = localStorage.getItem(this.ownershipKey);
-            if (stored) {
-                return JSON.parse(stored);
+    saveArchive() {
+        if (!this.loaded || this.dirtyArchiveKeys.size === 0) return;
+
+        const entries = {};
+        this.dirtyArchiveKeys.forEach(key => {
+            entries[key] = this.archive[key] || null;
+        });
+        this.dirtyArchiveKeys.clear();
+        this.storage.saveEntries('archive', entries)
+            .catch(e => console.error('Failed to save archive:', e));
+    }
+
+    /**
+     * Persists events recorded since the last save
+     * Written with the grid, since every recorded event comes with a grid change
+     */
+    saveEvents() {
+        if (!this.loaded || this.dirtyEventIds.size === 0) return;
+
+        const entries = {};
+        this.dirtyEventIds.forEach(id => {
+            entries[id] = this.events[id] || null;
+        });
+        this.dirtyEventIds.clear();
+        this.storage.saveEntries('events', entries)
+            .catch(e => console.error('Failed to save events:', e));
+    }
+
+    /**
+     * Appends a change to the event log, saved with the next saveState()
+     * @param {string} type - 'claim', 'color', 'remove', 'expire', 'clear' or 'snapshot' (grid replaced by the given squares)
+     * @param {Array<{x: number, y: number, color?: string}>} squares - Affected squares; claims, colors and snapshots carry the color
+     * @param {number} [time] - When the change happened (default: now)
+     */
+    recordEvent(type, squares, time = Date.now()) {
+        const logged = squares.map(({ x, y, color }) => (type === 'remove' || type === 'expire' ? { x, y } : { x, y, color }));
+
+        // Square-by-square repaints extend the open stroke instead of logging an event per square
+        const stroke = this.lastStroke ? this.events[this.lastStroke.id] : null;
+        if (type === 'color' && stroke && time - this.lastStroke.at < STROKE_WINDOW) {
+            const merged = new Map(stroke.squares.map(square => [this.getKey(square.x, square.y), square]));
+            logged.forEach(square => merged.set(this.getKey(square.x, square.y), square));
+            this.events[stroke.id] = { ...stroke, squares: Array.from(merged.values()) };
+            this.lastStroke.at = time;
+            this.dirtyEventIds.add(stroke.id);
+            return;
+        }
+
+        const id = this.createEventId(time);
+        this.events[id] = { id, time, type, squares: logged };
+        this.dirtyEventIds.add(id);
+        this.lastStroke = type === 'color' ? { id, at: time } : null;
+        this.compactEvents();
+    }
+
+    /**
+     * Creates a unique event ID
+     * @param {number} time - Event timestamp in milliseconds
+     * @returns {string} Event ID
+     */
+    createEventId(time) {
+        return `${time}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Keeps the log under eventLimit, if one is set, by folding its oldest half into one snapshot of the grid as it was then
+     * Replays look the same from the snapshot on; the steps before it are lost, so the snapshot is
+     * marked compacted and getHistoryStart() reports it
+     */
+    compactEvents() {
+        const count = Object.keys(this.events).length;
+        if (this.eventLimit <= 0 || count <= this.eventLimit) return;
+
+        const events = this.getEvents();
+        let foldCount = count - Math.floor(this.eventLimit / 2);
+        // Events sharing a timestamp stay together, so none sorts before the snapshot and gets cleared by it
+        while (foldCount < events.length && events[foldCount].time === events[foldCount - 1].time) {
+            foldCount++;
+        }
+
+        const squares = new Map(); // "x,y" -> { x, y, color }
+        events.slice(0, foldCount).forEach(event => {
+            if (event.type === 'clear' || event.type === 'snapshot') {
+                squares.clear();
             }
-        } catch (e) {
-            console.warn('Failed to load ownership:', e);
+            event.squares.forEach(({ x, y, color }) => {
+                const key = this.getKey(x, y);
+                if (event.type === 'remove' || event.type === 'expire') {
+                    squares.delete(key);
+                } else {
+                    squares.set(key, { x, y, color });
+                }
+            });
+            delete this.events[event.id];
+            this.dirtyEventIds.add(event.id);
+        });
+
+        const time = events[foldCount - 1].time;
+        const id = this.createEventId(time);
+        this.events[id] = { id, time, type: 'snapshot', compacted: true, squares: Array.from(squares.values()) };
+        this.dirtyEventIds.add(id);
+        if (this.lastStroke && !this.events[this.lastStroke.id]) {
+            this.lastStroke = null;
         }
-        return {};
     }
 
     /**
-     * Persists ownership tracking data to localStorage
+     * Reconstructs claims and expiries from the archive and the grid, for data stored before the event log existed
+     * Squares claimed and expiring at the same moment are grouped into one event
+     */
+    seedEvents() {
+        const groups = new Map(); // "type@time" -> squares
+        const add = (type, time, square) => {
+            const groupKey = `${type}@${time}`;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { type, time, squares: [] });
+            }
+            groups.get(groupKey).squares.push(square);
+        };
+
+        Object.keys(this.archive).forEach(key => {
+            const { x, y } = this.parseKey(key);
+            this.archive[key].forEach(entry => {
+                add('claim', entry.donatedAt, { x, y, color: entry.color });
+                add('expire', entry.expiredAt, { x, y });
+            });
+        });
+        Object.values(this.grid).forEach(square => {
+            add('claim', square.timestamp || Date.now(), square);
+        });
+
+        groups.forEach(({ type, time, squares }) => this.recordEvent(type, squares, time));
+    }
+
+    /**
+     * Returns the event log, oldest first
+     * @returns {Array<{id: string, time: number, type: string, squares: Array<Object>}>} Recorded events
+     */
+    getEvents() {
+        return Object.values(this.events).sort((a, b) => a.time - b.time || (a.id < b.id ? -1 : 1));
+    }
+
+    /**
+     * Gets where the recorded history begins if older events were compacted away
+     * @returns {number|null} Time of the newest compacted snapshot, or null if the full history is kept
+     */
+    getHistoryStart() {
+        let start = null;
+        Object.values(this.events).forEach(event => {
+            if (event.compacted && (start === null || event.time > start)) {
+                start = event.time;
+            }
+        });
+        return start;
+    }
+
+    /**
+     * Persists ownership changes
+     * Merges per transaction, like saveState() does per square
      */
     saveOwnership() {
-        try {
-            localStorage.setItem(this.ownershipKey, JSON.stringify(this.ownership));
-        } catch (e) {
-            console.error('Failed to save ownership:', e);
+        if (!this.loaded) return; // Written once loading finishes
+
+        let write;
+        if (this.replaceOwnershipOnSave) {
+            write = this.storage.replaceAll('ownership', { ...this.ownership });
+        } else if (this.dirtyTransactions.size > 0) {
+            const entries = {};
+            this.dirtyTransactions.forEach(transactionId => {
+                entries[transactionId] = this.ownership[transactionId] || null;
+            });
+            write = this.storage.saveEntries('ownership', entries);
+        }
+        this.dirtyTransactions.clear();
+        this.replaceOwnershipOnSave = false;
+
+        if (write) {
+            write.catch(e => console.error('Failed to save ownership:', e));
         }
     }
 
+    /**
+     * Forgets all ownership records of the current user
+     */
+    clearOwnership() {
+        this.ownership = {};
+        this.rebuildOwnershipIndex();
+        this.replaceOwnershipOnSave = true;
+        this.saveOwnership();
+        this.notifyListeners({ leaderboardUpdate: true });
+    }
+
     /**
      * Records squares as owned by current user for a transaction
      * @param {string} transactionId - Unique transaction identifier
@@ -91,6 +346,8 @@ export class StateManager {
             url: url,
             username: username
         };
+        this.indexTransaction(transactionId);
+        this.dirtyTransactions.add(transactionId);
         this.saveOwnership();
         
         // Trigger leaderboard update
@@ -104,14 +361,19 @@ export class StateManager {
      * @returns {string|null} URL or null if not set
      */
     getSquareUrl(x, y) {
-        const key = this.getKey(x, y);
-        for (const transactionId in this.ownership) {
-            const transaction = this.ownership[transactionId];
-            if (transaction.squares.some(s => this.getKey(s.x, s.y) === key)) {
-                return transaction.url || null;
-            }
-        }
-        return null;
+        const transactionId = this.ownershipIndex.get(this.getKey(x, y));
+        if (!transactionId) return null;
+        return this.ownership[transactionId].url || null;
+    }
+
+    /**
+     * Gets the ID of the current user's transaction that owns a square
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {string|null} Transaction ID or null if the user does not own the square
+     */
+    getSquareTransactionId(x, y) {
+        return this.ownershipIndex.get(this.getKey(x, y)) || null;
     }
 
     /**
@@ -121,14 +383,7 @@ export class StateManager {
      * @returns {boolean} True if user owns this square
      */
     isOwnedSquare(x, y) {
-        const key = this.getKey(x, y);
-        for (const transactionId in this.ownership) {
-            const transaction = this.ownership[transactionId];
-            if (transaction.squares.some(s => this.getKey(s.x, s.y) === key)) {
-                return true;
-            }
-        }
-        return false;
+        return this.ownershipIndex.has(this.getKey(x, y));
     }
 
     /**
@@ -137,16 +392,105 @@ export class StateManager {
      */
     getOwnedSquares() {
         const owned = [];
-        for (const transactionId in this.ownership) {
-            const transaction = this.ownership[transactionId];
-            transaction.squares.forEach(s => {
-                const square = this.getSquare(s.x, s.y);
-                if (square) {
-                    owned.push({ ...square, transactionId });
-                }
+        this.ownershipIndex.forEach((transactionId, key) => {
+            const square = this.grid[key];
+            if (square) {
+                owned.push({ ...square, transactionId });
+            }
+        });
+        return owned;
+    }
+
+    /**
+     * Counts squares owned by the current user that are still on the grid
+     * Cached until the next state change, as the UI overlay asks on every frame
+     * @returns {number} Number of owned squares
+     */
+    getOwnedCount() {
+        if (this.ownedCount === null) {
+            let count = 0;
+            this.ownershipIndex.forEach((transactionId, key) => {
+                if (this.grid[key]) count++;
             });
+            this.ownedCount = count;
         }
-        return owned;
+        return this.ownedCount;
+    }
+
+    /**
+     * Adds a transaction's squares to the ownership index
+     * @param {string} transactionId - Transaction to index
+     */
+    indexTransaction(transactionId) {
+        this.ownership[transactionId].squares.forEach(s => {
+            this.ownershipIndex.set(this.getKey(s.x, s.y), transactionId);
+        });
+        this.ownedCount = null;
+    }
+
+    /**
+     * Rebuilds the ownership index after ownership records were replaced wholesale
+     */
+    rebuildOwnershipIndex() {
+        this.ownershipIndex.clear();
+        Object.keys(this.ownership).forEach(transactionId => this.indexTransaction(transactionId));
+        this.ownedCount = null;
+    }
+
+    /**
+     * Drops squares from the transactions that claimed them, once those claims have ended
+     * Every path that takes a square off the grid goes through here, so the ownership
+     * records, the index and isOwnedSquare() always agree
+     * Archive the squares first: archiveSquare() looks up their owner in the index
+     * @param {Array<string>} keys - Square keys "x,y"
+     * @returns {boolean} True if any ownership record changed
+     */
+    releaseSquares(keys) {
+        const released = new Map(); // transactionId -> keys no longer held
+        keys.forEach(key => {
+            const transactionId = this.ownershipIndex.get(key);
+            if (!transactionId) return;
+            if (!released.has(transactionId)) {
+                released.set(transactionId, new Set());
+            }
+            released.get(transactionId).add(key);
+            this.ownershipIndex.delete(key);
+        });
+
+        released.forEach((releasedKeys, transactionId) => {
+            const transaction = this.ownership[transactionId];
+            this.ownership[transactionId] = {
+                ...transaction,
+                // The leaderboard ranks by squares donated, not squares still held
+                donatedCount: transaction.donatedCount || transaction.squares.length,
+                squares: transaction.squares.filter(s => !releasedKeys.has(this.getKey(s.x, s.y)))
+            };
+            this.dirtyTransactions.add(transactionId);
+        });
+
+        if (released.size > 0) {
+            this.ownedCount = null;
+        }
+        return released.size > 0;
+    }
+
+    /**
+     * Releases owned squares that left the grid, or were claimed by someone else,
+     * when grid data arrives from another source
+     * @param {Object} previous - Grid entries before the new data was applied, keyed by "x,y"
+     * @param {Iterable<string>} [keys] - Keys the new data touched (default: every owned square)
+     * @returns {boolean} True if any ownership record changed
+     */
+    releaseReplacedSquares(previous, keys = this.ownershipIndex.keys()) {
+        const now = Date.now();
+        const replaced = [...keys].filter(key => {
+            if (!this.ownershipIndex.has(key)) return false;
+            const before = previous[key];
+            const after = this.grid[key];
+            // A lapsed lock that comes back with a new expiry is a new claim
+            return !before || !after || (before.expiryTime <= now && after.expiryTime !== before.expiryTime);
+        });
+        return this.releaseSquares(replaced);
     }
 
     /**
@@ -157,14 +501,9 @@ export class StateManager {
      * @returns {string} Hex color code of original color
      */
     getOriginalColor(x, y) {
-        const key = this.getKey(x, y);
-        for (const transactionId in this.ownership) {
-            const transaction = this.ownership[transactionId];
-            if (transaction.squares.some(s => this.getKey(s.x, s.y) === key)) {
-                return transaction.originalColor || '#f5f5f5';
-            }
-        }
-        return '#f5f5f5';
+        const transactionId = this.ownershipIndex.get(this.getKey(x, y));
+        if (!transactionId) return '#f5f5f5';
+        return this.ownership[transactionId].originalColor || '#f5f5f5';
     }
 
     /**
@@ -217,7 +556,7 @@ export class StateManager {
             if (!userStats[username]) {
                 userStats[username] = 0;
             }
-            userStats[username] += transaction.squares.length;
+            userStats[username] += transaction.donatedCount || transaction.squares.length;
         }
         
         // Convert to array and sort
@@ -256,26 +595,153 @@ export class StateManager {
         return { minX, maxX, minY, maxY };
     }
 
+    /**
+     * Finds the nearest available squares to stand in for squares that could not be claimed
+     * Searches outward ring by ring around each rejected square
+     * @param {Array<{x: number, y: number}>} rejectedSquares - Squares that need replacing
+     * @param {Array<{x: number, y: number}>} excludeSquares - Squares that must not be picked (e.g. just granted)
+     * @returns {Array<{x: number, y: number}>} Replacement squares (may be fewer if the grid is full)
+     */
+    findReplacementSquares(rejectedSquares, excludeSquares = []) {
+        const taken = new Set(excludeSquares.map(s => this.getKey(s.x, s.y)));
+        rejectedSquares.forEach(s => taken.add(this.getKey(s.x, s.y)));
+        const replacements = [];
+
+        rejectedSquares.forEach(({ x: cx, y: cy }) => {
+            const originX = Math.min(Math.max(cx, 0), this.gridSize - 1);
+            const originY = Math.min(Math.max(cy, 0), this.gridSize - 1);
+
+            for (let radius = 1; radius < this.gridSize; radius++) {
+                let found = null;
+                for (let x = originX - radius; x <= originX + radius && !found; x++) {
+                    for (let y = originY - radius; y <= originY + radius && !found; y++) {
+                        const onRing = Math.max(Math.abs(x - originX), Math.abs(y - originY)) === radius;
+                        const inBounds = x >= 0 && x < this.gridSize && y >= 0 && y < this.gridSize;
+                        if (onRing && inBounds && !taken.has(this.getKey(x, y)) && this.isSquareAvailable(x, y)) {
+                            found = { x, y };
+                        }
+                    }
+                }
+                if (found) {
+                    taken.add(this.getKey(found.x, found.y));
+                    replacements.push(found);
+                    break;
+                }
+            }
+        });
+
+        return replacements;
+    }
+
     /**
      * Removes expired squares from the grid based on expiry time
      * @param {Object} grid - Grid object to clean
      */
     cleanExpiredSquares(grid) {
         const now = Date.now();
+        const expired = new Map(); // expiryTime -> squares, logged at the moment each lock lapsed
         let cleaned = false;
         
         Object.keys(grid).forEach(key => {
-            if (grid[key].expiryTime && grid[key].expiryTime < now) {
+            if (grid[key].expiryTime && grid[key].expiryTime + this.gracePeriod < now) {
+                this.archiveSquare(key, grid[key]);
+                if (!expired.has(grid[key].expiryTime)) {
+                    expired.set(grid[key].expiryTime, []);
+                }
+                expired.get(grid[key].expiryTime).push(this.parseKey(key));
                 delete grid[key];
+                this.dirtyKeys.add(key);
                 cleaned = true;
             }
         });
 
         if (cleaned) {
+            const keys = [];
+            expired.forEach(squares => squares.forEach(({ x, y }) => keys.push(this.getKey(x, y))));
+            if (this.releaseSquares(keys)) {
+                this.saveOwnership();
+            }
+            expired.forEach((squares, expiryTime) => this.recordEvent('expire', squares, expiryTime));
             this.notifyListeners();
         }
     }
 
+    /**
+     * Records a square leaving the grid in its ownership history
+     * @param {string} key - Square key "x,y"
+     * @param {Object} square - Square data as it was on the grid
+     * @param {number} [expiredAt] - When the lock lapsed (default: the square's expiry time)
+     */
+    archiveSquare(key, square, expiredAt = square.expiryTime) {
+        const history = this.archive[key] || [];
+        const last = history[history.length - 1];
+        // Another tab may have archived the same ownership already
+        if (last && last.donatedAt === square.timestamp && last.expiredAt === expiredAt) return;
+
+        const transactionId = this.ownershipIndex.get(key) || null;
+        const transaction = transactionId ? this.ownership[transactionId] : null;
+        this.archive[key] = [...history, {
+            color: square.color,
+            transactionId,
+            username: transaction ? transaction.username : null,
+            donatedAt: square.timestamp,
+            expiredAt
+        }].slice(-ARCHIVE_LIMIT);
+        this.dirtyArchiveKeys.add(key);
+    }
+
+    /**
+     * Checks if a square's lock has lapsed but its grace period has not
+     * During the grace period the square is shown faded and cannot be bought
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if the square is in its grace period
+     */
+    isInGracePeriod(x, y) {
+        const square = this.getSquare(x, y);
+        if (!square || !square.expiryTime || this.gracePeriod <= 0) return false;
+
+        const now = Date.now();
+        return square.expiryTime < now && now <= square.expiryTime + this.gracePeriod;
+    }
+
+    /**
+     * Gets the time left before a square in its grace period becomes available
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Remaining grace time in milliseconds (0 if not in the grace period)
+     */
+    getGraceRemaining(x, y) {
+        if (!this.isInGracePeriod(x, y)) return 0;
+        return this.getSquare(x, y).expiryTime + this.gracePeriod - Date.now();
+    }
+
+    /**
+     * Returns the full ownership history of a square, oldest first
+     * The current ownership, if any, comes last with expiredAt null and current true
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Array<{color: string, transactionId: string|null, username: string|null, donatedAt: number, expiredAt: number|null, current: boolean}>} Ownership history
+     */
+    getSquareHistory(x, y) {
+        const key = this.getKey(x, y);
+        const history = (this.archive[key] || []).map(entry => ({ ...entry, current: false }));
+
+        const square = this.getSquare(x, y);
+        if (square) {
+            const transactionId = this.ownershipIndex.get(key) || null;
+            history.push({
+                color: square.color,
+                transactionId,
+                username: transactionId ? this.ownership[transactionId].username : null,
+                donatedAt: square.timestamp,
+                expiredAt: null,
+                current: true
+            });
+        }
+        return history;
+    }
+
     /**
      * Converts x,y coordinates to storage key string
      * @param {number} x - Grid X coordinate
@@ -308,26 +774,112 @@ export class StateManager {
     }
 
     /**
-     * Checks if a square is available for donation (not locked or expired)
-     * Automatically removes expired squares
+     * Checks if a square is available for donation (not locked, in its grace period, or held)
+     * Automatically archives and removes squares whose grace period has ended
      * @param {number} x - Grid X coordinate
      * @param {number} y - Grid Y coordinate
      * @returns {boolean} True if square is available
      */
     isSquareAvailable(x, y) {
+        if (this.isSquareHeld(x, y)) return false;
+
         const square = this.getSquare(x, y);
         if (!square) return true;
         
         const now = Date.now();
-        if (square.expiryTime && square.expiryTime < now) {
-            // Square has expired, remove it
-            this.removeSquare(x, y);
+        if (square.expiryTime && square.expiryTime + this.gracePeriod < now) {
+            // Square has expired, archive and remove it
+            this.archiveSquare(this.getKey(x, y), square);
+            this.removeSquare(x, y, square.expiryTime);
             return true;
         }
         
         return false;
     }
 
+    /**
+     * Checks if another donor holds a square while checking out
+     * Squares held by the current user's own reservation are not considered held
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {boolean} True if the square is held by someone else
+     */
+    isSquareHeld(x, y) {
+        const key = this.getKey(x, y);
+        const hold = this.holds[key];
+        if (!hold || hold.expiresAt < Date.now()) return false;
+        return !(this.ownReservation && this.ownReservation.keys.has(key));
+    }
+
+    /**
+     * Gets when the hold on a square lapses
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number|null} Expiry timestamp in milliseconds, or null if the square is not held
+     */
+    getHoldExpiry(x, y) {
+        const hold = this.holds[this.getKey(x, y)];
+        return hold ? hold.expiresAt : null;
+    }
+
+    /**
+     * Replaces all known holds, e.g. with the list returned alongside the server grid
+     * @param {Array<{x: number, y: number, expiresAt: number}>} holds - Held squares
+     */
+    setHolds(holds) {
+        this.holds = {};
+        holds.forEach(({ x, y, expiresAt }) => {
+            this.holds[this.getKey(x, y)] = { expiresAt };
+        });
+        this.notifyListeners({ holdsUpdate: true, fullRefresh: true, remote: true });
+    }
+
+    /**
+     * Records holds placed by checkout reservations
+     * @param {Array<{x: number, y: number, expiresAt: number}>} squares - Newly held squares
+     */
+    applyRemoteHolds(squares) {
+        squares.forEach(({ x, y, expiresAt }) => {
+            this.holds[this.getKey(x, y)] = { expiresAt };
+        });
+        this.notifyListeners({ multiple: true, squares, holdsUpdate: true, remote: true });
+    }
+
+    /**
+     * Forgets holds that were released or converted into a donation
+     * @param {Array<{x: number, y: number}>} squares - Released squares
+     */
+    applyRemoteReleases(squares) {
+        squares.forEach(({ x, y }) => {
+            delete this.holds[this.getKey(x, y)];
+        });
+        this.notifyListeners({ multiple: true, squares, holdsUpdate: true, remote: true });
+    }
+
+    /**
+     * Remembers the current user's reservation so its squares are not shown as held
+     * @param {string} reservationId - Reservation returned by the backend
+     * @param {Array<{x: number, y: number}>} squares - Squares held by the reservation
+     */
+    setOwnReservation(reservationId, squares) {
+        this.ownReservation = {
+            reservationId,
+            keys: new Set(squares.map(s => this.getKey(s.x, s.y)))
+        };
+        this.notifyListeners({ multiple: true, squares, holdsUpdate: true });
+    }
+
+    /**
+     * Forgets the current user's reservation once it is released or used
+     */
+    clearOwnReservation() {
+        if (!this.ownReservation) return;
+
+        const squares = Array.from(this.ownReservation.keys).map(key => this.parseKey(key));
+        this.ownReservation = null;
+        this.notifyListeners({ multiple: true, squares, holdsUpdate: true });
+    }
+
     /**
      * Sets data for a single square with timestamp and expiry
      * @param {number} x - Grid X coordinate
@@ -343,6 +895,8 @@ export class StateManager {
             timestamp: Date.now(),
             expiryTime: Date.now() + this.lockDuration
         };
+        this.dirtyKeys.add(key);
+        this.recordEvent('claim', [this.grid[key]]);
         this.saveState();
         this.notifyListeners({ x, y, data: this.grid[key] });
     }
@@ -362,7 +916,9 @@ export class StateManager {
                 timestamp: Date.now(),
                 expiryTime: Date.now() + this.lockDuration
             };
+            this.dirtyKeys.add(key);
         });
+        this.recordEvent('claim', squares);
         this.saveState();
         this.notifyListeners({ multiple: true, squares });
     }
@@ -390,20 +946,73 @@ export class StateManager {
             ...square,
             color: newColor
         };
+        this.dirtyKeys.add(key);
+        this.recordEvent('color', [this.grid[key]]);
         
         this.saveState();
         this.notifyListeners({ x, y, data: this.grid[key], colorUpdate: true });
         return true;
     }
 
+    /**
+     * Updates the colors of several owned squares with a single save and notification
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     * @returns {Array<{x: number, y: number, color: string}>} Squares that were updated (owned and still on the grid)
+     */
+    updateSquareColors(squares) {
+        const updated = squares.filter(({ x, y }) => this.isOwnedSquare(x, y) && this.getSquare(x, y));
+        updated.forEach(({ x, y, color }) => {
+            const key = this.getKey(x, y);
+            this.grid[key] = { ...this.grid[key], color };
+            this.dirtyKeys.add(key);
+        });
+
+        if (updated.length > 0) {
+            this.recordEvent('color', updated);
+            this.saveState();
+            this.notifyListeners({ multiple: true, squares: updated, colorUpdate: true });
+        }
+        return updated;
+    }
+
+    /**
+     * Moves the expiry of renewed squares in place, keeping their colors
+     * @param {Array<{x: number, y: number, expiryTime: number}>} squares - Squares with their new expiry times
+     * @returns {Array<{x: number, y: number, expiryTime: number}>} Squares that were updated (owned and still on the grid)
+     */
+    extendSquareLocks(squares) {
+        const updated = squares.filter(({ x, y }) => this.isOwnedSquare(x, y) && this.getSquare(x, y));
+        updated.forEach(({ x, y, expiryTime }) => {
+            const key = this.getKey(x, y);
+            this.grid[key] = { ...this.grid[key], expiryTime };
+            this.dirtyKeys.add(key);
+        });
+
+        if (updated.length > 0) {
+            this.saveState();
+            this.notifyListeners({ multiple: true, squares: updated });
+        }
+        return updated;
+    }
+
     /**
      * Removes square data from the grid
      * @param {number} x - Grid X coordinate
      * @param {number} y - Grid Y coordinate
+     * @param {number} [expiredAt] - When the square's lock lapsed; logs an expiry instead of a removal
      */
-    removeSquare(x, y) {
+    removeSquare(x, y, expiredAt = null) {
         const key = this.getKey(x, y);
         delete this.grid[key];
+        this.dirtyKeys.add(key);
+        if (this.releaseSquares([key])) {
+            this.saveOwnership();
+        }
+        if (expiredAt !== null) {
+            this.recordEvent('expire', [{ x, y }], expiredAt);
+        } else {
+            this.recordEvent('remove', [{ x, y }]);
+        }
         this.saveState();
         this.notifyListeners({ x, y, removed: true });
     }
@@ -452,37 +1061,232 @@ export class StateManager {
     }
 
     /**
-     * Exports grid state as formatted JSON string
-     * @returns {string} JSON string of grid state
+     * Exports grid and ownership state as a versioned JSON envelope
+     * @returns {string} Formatted JSON string
      */
     exportState() {
-        return JSON.stringify(this.grid, null, 2);
+        return JSON.stringify(createExport({
+            grid: this.grid,
+            ownership: this.ownership,
+            gridSize: this.gridSize,
+            lockDuration: this.lockDuration
+        }), null, 2);
     }
 
     /**
-     * Imports grid state from JSON string and validates/cleans it
-     * @param {string} jsonString - JSON string containing grid state
-     * @returns {boolean} True if import succeeded
+     * Imports an exported state file after validating it
+     * Nothing is changed unless the whole file is valid; expired squares are skipped
+     * @param {string} jsonString - Exported JSON (see exportState)
+     * @param {Object} [options] - Import options
+     * @param {string} [options.mode='replace'] - 'replace' discards current state, 'merge' overlays the file on it
+     * @param {boolean} [options.dryRun=false] - Only report what would change
+     * @returns {Object} Result with success, a report of added/updated/removed entries, warnings, or validation errors
      */
-    importState(jsonString) {
-        try {
-            const imported = JSON.parse(jsonString);
-            this.grid = imported;
-            this.cleanExpiredSquares(this.grid);
+    importState(jsonString, { mode = 'replace', dryRun = false } = {}) {
+        if (mode !== 'replace' && mode !== 'merge') {
+            return { success: false, error: `Unknown import mode "${mode}"`, errors: [] };
+        }
+
+        const parsed = parseExport(jsonString, this.gridSize);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        const warnings = [...parsed.warnings];
+        if (parsed.lockDuration !== undefined && parsed.lockDuration !== this.lockDuration) {
+            warnings.push('Export was made with a different lock duration; imported squares keep their own expiry times');
+        }
+
+        // Drop squares that expired since the export was made
+        const now = Date.now();
+        const grid = {};
+        let expired = 0;
+        Object.keys(parsed.grid).forEach(key => {
+            if (parsed.grid[key].expiryTime < now) {
+                expired++;
+            } else {
+                grid[key] = parsed.grid[key];
+            }
+        });
+
+        // Unversioned exports carry no ownership; keep ours
+        const ownership = parsed.ownership;
+        const report = {
+            mode,
+            squares: this.diffEntries(this.grid, grid, mode),
+            transactions: ownership ? this.diffEntries(this.ownership, ownership, mode) : null,
+            expired
+        };
+
+        if (!dryRun) {
+            if (mode === 'replace') {
+                this.grid = grid;
+                this.replaceGridOnSave = true;
+                if (ownership) {
+                    this.ownership = ownership;
+                    this.replaceOwnershipOnSave = true;
+                }
+            } else {
+                Object.keys(grid).forEach(key => {
+                    this.grid[key] = grid[key];
+                    this.dirtyKeys.add(key);
+                });
+                Object.keys(ownership || {}).forEach(transactionId => {
+                    this.ownership[transactionId] = ownership[transactionId];
+                    this.dirtyTransactions.add(transactionId);
+                });
+            }
+            this.rebuildOwnershipIndex();
+            // Imported ownership may list squares the imported grid no longer has
+            this.releaseSquares([...this.ownershipIndex.keys()].filter(key => !this.grid[key]));
+            this.recordEvent(mode === 'replace' ? 'snapshot' : 'claim', Object.values(grid));
             this.saveState();
-            this.notifyListeners({ fullRefresh: true });
-            return true;
-        } catch (e) {
-            console.error('Failed to import state:', e);
-            return false;
+            this.saveOwnership();
+            this.notifyListeners({ fullRefresh: true, leaderboardUpdate: true });
+        }
+
+        return { success: true, dryRun, report, warnings };
+    }
+
+    /**
+     * Counts how importing entries would change an object
+     * @param {Object} current - Current entries (grid or ownership)
+     * @param {Object} incoming - Imported entries
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {{added: number, updated: number, removed: number, unchanged: number}} Change counts
+     */
+    diffEntries(current, incoming, mode) {
+        const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+        Object.keys(incoming).forEach(key => {
+            if (!current[key]) {
+                counts.added++;
+            } else if (JSON.stringify(current[key]) !== JSON.stringify(incoming[key])) {
+                counts.updated++;
+            } else {
+                counts.unchanged++;
+            }
+        });
+
+        if (mode === 'replace') {
+            counts.removed = Object.keys(current).filter(key => !incoming[key]).length;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Replaces local grid state with the authoritative grid from a backend
+     * Local storage is kept as a cache of the server copy
+     * @param {Object} grid - Grid state object keyed by "x,y"
+     */
+    loadServerGrid(grid) {
+        const previous = this.grid;
+        this.grid = { ...grid };
+        this.replaceGridOnSave = true;
+        if (this.releaseReplacedSquares(previous)) {
+            this.saveOwnership();
+        }
+        this.cleanExpiredSquares(this.grid);
+        this.saveState();
+        this.notifyListeners({ fullRefresh: true });
+    }
+
+    /**
+     * Applies squares claimed by another viewer
+     * @param {Array<Object>} squares - Square data objects including x, y, color, timestamp and expiryTime
+     */
+    applyRemoteSquares(squares) {
+        const previous = {};
+        squares.forEach(square => {
+            const key = this.getKey(square.x, square.y);
+            previous[key] = this.grid[key];
+            this.grid[key] = { ...square };
+            delete this.holds[key];
+            this.dirtyKeys.add(key);
+        });
+        if (this.releaseReplacedSquares(previous, Object.keys(previous))) {
+            this.saveOwnership();
+        }
+        this.recordEvent('claim', squares);
+        this.saveState();
+        this.notifyListeners({ multiple: true, squares, remote: true });
+    }
+
+    /**
+     * Applies color changes made by another viewer to existing squares
+     * @param {Array<{x: number, y: number, color: string}>} squares - Squares with their new colors
+     */
+    applyRemoteColors(squares) {
+        const updated = squares.filter(({ x, y }) => this.getSquare(x, y));
+        updated.forEach(({ x, y, color }) => {
+            const key = this.getKey(x, y);
+            this.grid[key] = { ...this.grid[key], color };
+            this.dirtyKeys.add(key);
+        });
+        if (updated.length > 0) {
+            this.recordEvent('color', updated);
+            this.saveState();
+            this.notifyListeners({ multiple: true, squares: updated, colorUpdate: true, remote: true });
+        }
+    }
+
+    /**
+     * Applies lock renewals made by another viewer to existing squares
+     * @param {Array<{x: number, y: number, expiryTime: number}>} squares - Squares with their new expiry times
+     */
+    applyRemoteRenewals(squares) {
+        const updated = squares.filter(({ x, y }) => this.getSquare(x, y));
+        updated.forEach(({ x, y, expiryTime }) => {
+            const key = this.getKey(x, y);
+            this.grid[key] = { ...this.grid[key], expiryTime };
+            this.dirtyKeys.add(key);
+        });
+        if (updated.length > 0) {
+            this.saveState();
+            this.notifyListeners({ multiple: true, squares: updated, remote: true });
         }
     }
 
+    /**
+     * Removes squares whose locks expired on the backend
+     * Squares still in their grace period here stay, faded, until cleanExpiredSquares() removes them
+     * @param {Array<{x: number, y: number}>} expired - Squares the backend reported as expired
+     */
+    applyRemoteRemovals(expired) {
+        const now = Date.now();
+        const squares = expired.filter(({ x, y }) => {
+            const square = this.grid[this.getKey(x, y)];
+            return !square || !square.expiryTime || square.expiryTime + this.gracePeriod < now;
+        });
+        if (squares.length === 0) return;
+
+        squares.forEach(({ x, y }) => {
+            const key = this.getKey(x, y);
+            if (this.grid[key]) {
+                this.archiveSquare(key, this.grid[key], Math.min(now, this.grid[key].expiryTime || now));
+            }
+            delete this.grid[key];
+            this.dirtyKeys.add(key);
+        });
+        if (this.releaseSquares(squares.map(({ x, y }) => this.getKey(x, y)))) {
+            this.saveOwnership();
+        }
+        this.recordEvent('expire', squares);
+        this.saveState();
+        this.notifyListeners({ multiple: true, squares, removed: true, remote: true });
+    }
+
     /**
      * Clears all grid data and persists the empty state
      */
     clearAll() {
         this.grid = {};
+        this.replaceGridOnSave = true;
+        if (this.releaseSquares([...this.ownershipIndex.keys()])) {
+            this.saveOwnership();
+        }
+        this.recordEvent('clear', []);
         this.saveState();
         this.notifyListeners({ fullRefresh: true });
     }
@@ -508,9 +1312,79 @@ export class StateManager {
      * @param {Object} changeData - Information about what changed
      */
     notifyListeners(changeData) {
+        // Any change may add or remove owned squares from the grid
+        this.ownedCount = null;
         this.listeners.forEach(callback => callback(changeData));
     }
 
+    /**
+     * Starts listening for grid and ownership changes written by other tabs
+     */
+    startCrossTabSync() {
+        this.ready.then(() => {
+            if (!this.unsubscribeStorage) {
+                this.unsubscribeStorage = this.storage.subscribe(this.handleStoredChange);
+            }
+        });
+    }
+
+    /**
+     * Stops listening for changes written by other tabs
+     */
+    stopCrossTabSync() {
+        if (this.unsubscribeStorage) {
+            this.unsubscribeStorage();
+            this.unsubscribeStorage = null;
+        }
+    }
+
+    /**
+     * Merges grid, ownership, archive or event data written by another tab, square by square
+     * @param {{store: string, entries: Object, complete: boolean}} change - Stored entries; complete entries replace the store
+     */
+    handleStoredChange({ store, entries, complete }) {
+        const keys = complete ? undefined : Object.keys(entries);
+
+        if (store === 'grid') {
+            const changed = this.mergeEntries(this.grid, entries, keys);
+            if (changed.length > 0) {
+                this.notifyListeners({ multiple: true, squares: changed.map(key => this.parseKey(key)), remote: true });
+            }
+        } else if (store === 'ownership') {
+            if (this.mergeEntries(this.ownership, entries, keys).length > 0) {
+                this.rebuildOwnershipIndex();
+                this.notifyListeners({ leaderboardUpdate: true, remote: true });
+            }
+        } else if (store === 'archive') {
+            this.mergeEntries(this.archive, entries, keys);
+        } else if (store === 'events') {
+            this.mergeEntries(this.events, entries, keys);
+        }
+    }
+
+    /**
+     * Copies entries that differ from the incoming object into the target, in place
+     * @param {Object} target - Object to update (grid, ownership, archive or events)
+     * @param {Object} incoming - Latest stored copy written by another tab
+     * @param {Array<string>} [keys] - Only compare these keys (default: every key of either object)
+     * @returns {Array<string>} Keys that were added, changed or removed
+     */
+    mergeEntries(target, incoming, keys = new Set([...Object.keys(target), ...Object.keys(incoming)])) {
+        const changed = [];
+
+        keys.forEach(key => {
+            if (JSON.stringify(target[key]) === JSON.stringify(incoming[key])) return;
+            if (incoming[key]) {
+                target[key] = incoming[key];
+            } else {
+                delete target[key];
+            }
+            changed.push(key);
+        });
+
+        return changed;
+    }
+
     /**
      * Starts periodic cleanup timer to remove expired squares every 5 minutes
      */
@@ -530,5 +1404,14 @@ export class StateManager {
             clearInterval(this.cleanupInterval);
         }
     }
+
+    /**
+     * Stops timers and cross-tab sync and closes storage once pending writes are done
+     */
+    destroy() {
+        this.stopCleanupTimer();
+        this.stopCrossTabSync();
+        this.ready.then(() => this.storage.close());
+    }
 }
 